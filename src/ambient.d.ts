@@ -0,0 +1,19 @@
+export type DeferOptions = import("./with-defer.js").DeferOptions;
+export type Deferrable = import("./with-defer.js").Deferrable;
+export type DeferFunction = import("./with-defer.js").DeferFunction;
+export type DeferredResult = import("./with-defer.js").DeferredResult;
+/**
+ * Adds a deferred function to the innermost enclosing ambient scope
+ * @param {Deferrable} callback - The deferred function, or a disposable resource, to be executed later
+ * @param {DeferOptions} [options={}] - Local options for the deferred function
+ * @returns {DeferredResult} - A disposable handle with a cancel method and a promise for the deferred function
+ */
+export function defer(callback: Deferrable, options?: DeferOptions): DeferredResult;
+/**
+ * Like withDefer, but also makes the scope ambient: code called by the main function,
+ * however deep and across awaits, can register cleanup through the exported defer()
+ * @param {function(DeferFunction, ...unknown[]): (unknown|Promise<unknown>)} fn - The main function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...unknown[]): Promise<unknown>} - A function that runs the provided function with deferred execution and returns the main function's return value
+ */
+export function withDefer(fn: (arg0: DeferFunction, ...args: unknown[][]) => (unknown | Promise<unknown>), options?: DeferOptions): (...args: unknown[][]) => Promise<unknown>;
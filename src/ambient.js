@@ -0,0 +1,61 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { withDefer as withExplicitDefer } from "./with-defer.js";
+
+/**
+ * @typedef {import("./with-defer.js").DeferOptions} DeferOptions
+ * @typedef {import("./with-defer.js").Deferrable} Deferrable
+ * @typedef {import("./with-defer.js").DeferFunction} DeferFunction
+ * @typedef {import("./with-defer.js").DeferredResult} DeferredResult
+ */
+
+/**
+ * The defer function of the innermost ambient scope in the current async context
+ * @type {AsyncLocalStorage<DeferFunction>}
+ */
+const ambientDefer = new AsyncLocalStorage();
+
+/**
+ * Like withDefer, but also makes the scope ambient: code called by the main function,
+ * however deep and across awaits, can register cleanup through the exported defer()
+ * @param {function(DeferFunction, ...unknown[]): (unknown|Promise<unknown>)} fn - The main function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...unknown[]): Promise<unknown>} - A function that runs the provided function with deferred execution and returns the main function's return value
+ */
+function withDefer(fn, options = {}) {
+	if (typeof fn !== "function") {
+		throw new TypeError("First argument must be a function");
+	}
+	// A generator's body runs on each next() call, outside the context run() establishes
+	const tag = Object.prototype.toString.call(fn);
+	if (
+		tag === "[object GeneratorFunction]" ||
+		tag === "[object AsyncGeneratorFunction]"
+	) {
+		throw new TypeError(
+			"Generator functions cannot use an ambient scope; use withDefer from the main entry point",
+		);
+	}
+
+	/** @type {function(DeferFunction, ...unknown[]): unknown} */
+	const main = (scopeDefer, ...args) =>
+		ambientDefer.run(scopeDefer, () => fn(scopeDefer, ...args));
+	return withExplicitDefer(main, options);
+}
+
+/**
+ * Adds a deferred function to the innermost enclosing ambient scope
+ * @param {Deferrable} callback - The deferred function, or a disposable resource, to be executed later
+ * @param {DeferOptions} [options={}] - Local options for the deferred function
+ * @returns {DeferredResult} - A disposable handle with a cancel method and a promise for the deferred function
+ */
+function defer(callback, options = {}) {
+	const scopeDefer = ambientDefer.getStore();
+	if (!scopeDefer) {
+		throw new Error(
+			"defer() was called outside of an ambient scope. Wrap the calling function with withDefer from '@dacodedbeat/with-defer-js/ambient'.",
+		);
+	}
+	return scopeDefer(callback, options);
+}
+
+export { defer, withDefer };
@@ -0,0 +1,60 @@
+export type DeferOptions = import("./with-defer.js").DeferOptions;
+export type DeferFunction = import("./with-defer.js").DeferFunction;
+export type DeferRequest = import("node:http").IncomingMessage & {
+    defer?: DeferFunction;
+};
+export type ServerResponse = import("node:http").ServerResponse;
+export type KoaContext = {
+    /**
+     * - Node's response object
+     */
+    res: ServerResponse;
+    /**
+     * - Added by the middleware
+     */
+    defer?: DeferFunction;
+};
+export type FastifyRequest = {
+    /**
+     * - Added by the plugin
+     */
+    defer?: DeferFunction | null;
+};
+export type FastifyReply = {
+    /**
+     * - Node's response object
+     */
+    raw: ServerResponse;
+};
+/**
+ * The subset of a Fastify instance used by the plugin
+ */
+export type FastifyInstance = {
+    /**
+     * - Declares a request property
+     */
+    decorateRequest: (arg0: string, arg1: unknown) => unknown;
+    /**
+     * - Adds a lifecycle hook
+     */
+    addHook: (arg0: string, arg1: (arg0: FastifyRequest, arg1: FastifyReply, arg2: (arg0: Error | undefined) => void) => void) => unknown;
+};
+/**
+ * Express/Connect middleware that adds a per-request `req.defer`
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(DeferRequest, ServerResponse, function(unknown=): void): void}
+ */
+export function expressDefer(options?: DeferOptions): (arg0: DeferRequest, arg1: ServerResponse, arg2: (arg0: unknown | undefined) => void) => void;
+/**
+ * Fastify plugin that adds a per-request `request.defer`, for every route of the instance
+ * @param {FastifyInstance} fastify - The Fastify instance
+ * @param {DeferOptions} options - Global options for deferred functions, as passed to register()
+ * @param {function(Error=): void} done - Signals that the plugin is registered
+ */
+export function fastifyDefer(fastify: FastifyInstance, options: DeferOptions, done: (arg0: Error | undefined) => void): void;
+/**
+ * Koa middleware that adds a per-request `ctx.defer`
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(KoaContext, function(): Promise<unknown>): Promise<unknown>}
+ */
+export function koaDefer(options?: DeferOptions): (arg0: KoaContext, arg1: () => Promise<unknown>) => Promise<unknown>;
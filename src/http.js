@@ -0,0 +1,102 @@
+import { DeferScope } from "./with-defer.js";
+
+/**
+ * @typedef {import("./with-defer.js").DeferOptions} DeferOptions
+ * @typedef {import("./with-defer.js").DeferFunction} DeferFunction
+ * @typedef {import("node:http").IncomingMessage & {defer?: DeferFunction}} DeferRequest
+ * @typedef {import("node:http").ServerResponse} ServerResponse
+ */
+
+/**
+ * @typedef {Object} KoaContext
+ * @property {ServerResponse} res - Node's response object
+ * @property {DeferFunction} [defer] - Added by the middleware
+ */
+
+/**
+ * @typedef {Object} FastifyRequest
+ * @property {DeferFunction|null} [defer] - Added by the plugin
+ */
+
+/**
+ * @typedef {Object} FastifyReply
+ * @property {ServerResponse} raw - Node's response object
+ */
+
+/**
+ * The subset of a Fastify instance used by the plugin
+ * @typedef {Object} FastifyInstance
+ * @property {function(string, unknown): unknown} decorateRequest - Declares a request property
+ * @property {function(string, function(FastifyRequest, FastifyReply, function(Error=): void): void): unknown} addHook - Adds a lifecycle hook
+ */
+
+/**
+ * Creates a request-scoped defer function whose deferred functions run once the response
+ * has finished or its connection has closed, including when the client aborts
+ * @param {ServerResponse} res - The response the scope is tied to
+ * @param {DeferOptions} options - Global options for deferred functions
+ * @returns {DeferFunction}
+ */
+function createResponseDefer(res, options) {
+	const scope = new DeferScope(options);
+	const close = () => {
+		// Failures already went through errorReporter; with throwOnError nobody is left to catch them
+		scope.close().catch(() => {});
+	};
+	// close() runs the queue once, whichever event comes first
+	res.once("finish", close);
+	res.once("close", close);
+	return scope.defer;
+}
+
+/**
+ * Express/Connect middleware that adds a per-request `req.defer`
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(DeferRequest, ServerResponse, function(unknown=): void): void}
+ */
+function expressDefer(options = {}) {
+	DeferScope.validateOptions(options);
+	return (req, res, next) => {
+		req.defer = createResponseDefer(res, options);
+		next();
+	};
+}
+
+/**
+ * Koa middleware that adds a per-request `ctx.defer`
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(KoaContext, function(): Promise<unknown>): Promise<unknown>}
+ */
+function koaDefer(options = {}) {
+	DeferScope.validateOptions(options);
+	return (ctx, next) => {
+		ctx.defer = createResponseDefer(ctx.res, options);
+		return next();
+	};
+}
+
+/**
+ * Fastify plugin that adds a per-request `request.defer`, for every route of the instance
+ * @param {FastifyInstance} fastify - The Fastify instance
+ * @param {DeferOptions} options - Global options for deferred functions, as passed to register()
+ * @param {function(Error=): void} done - Signals that the plugin is registered
+ */
+function fastifyDefer(fastify, options, done) {
+	try {
+		DeferScope.validateOptions(options ?? {});
+	} catch (err) {
+		done(err);
+		return;
+	}
+	fastify.decorateRequest("defer", null);
+	fastify.addHook("onRequest", (request, reply, hookDone) => {
+		request.defer = createResponseDefer(reply.raw, options ?? {});
+		hookDone();
+	});
+	done();
+}
+
+// Like fastify-plugin: apply the hook to the parent instance instead of an encapsulated child
+fastifyDefer[Symbol.for("skip-override")] = true;
+
+export { expressDefer, fastifyDefer, koaDefer };
@@ -0,0 +1,66 @@
+export type DeferOptions = import("./with-defer.js").DeferOptions;
+export type Deferrable = import("./with-defer.js").Deferrable;
+export type DeferredResult = import("./with-defer.js").DeferredResult;
+export type ProcessDeferSettings = {
+    /**
+     * - Signals that start the shutdown
+     */
+    signals?: string[];
+    /**
+     * - Run the deferred functions when the event loop empties
+     */
+    beforeExit?: boolean;
+    /**
+     * - Run the deferred functions on `uncaughtException` and `unhandledRejection`, then exit with code 1
+     */
+    uncaughtErrors?: boolean;
+    /**
+     * - Time in milliseconds the shutdown may take before the process exits anyway
+     */
+    deadline?: number | null;
+};
+/**
+ * Scope options for the process-wide scope, plus when and how to shut down
+ */
+export type ProcessDeferOptions = DeferOptions & ProcessDeferSettings;
+/**
+ * The subset of Node's `process` used for shutdown handling, typed here so the
+ * module does not depend on Node's type definitions
+ */
+export type ProcessLike = {
+    /**
+     * - Adds an event listener
+     */
+    on: (arg0: string, arg1: (...args: any[]) => void) => unknown;
+    /**
+     * - Removes an event listener
+     */
+    off: (arg0: string, arg1: (...args: any[]) => void) => unknown;
+    /**
+     * - Exits the process
+     */
+    exit: (arg0: number | undefined) => void;
+    /**
+     * - Exit code used when the process exits on its own
+     */
+    exitCode: number | string | undefined;
+};
+export type ProcessDeferMethods = {
+    /**
+     * - Sets the process-wide options; must be called before the first deferred function is registered
+     */
+    configure: (arg0: ProcessDeferOptions) => void;
+    /**
+     * - Runs the deferred functions now and exits with the given code
+     */
+    shutdown: (arg0: number | undefined) => Promise<void>;
+};
+export type ProcessDeferCallable = (arg0: Deferrable, arg1: DeferOptions | undefined) => DeferredResult;
+export type ProcessDeferFunction = ProcessDeferCallable & ProcessDeferMethods;
+/**
+ * Adds a deferred function to the process-wide scope, which runs once when the process
+ * receives a shutdown signal, its event loop empties, or an error goes uncaught.
+ * Listeners are only installed by the first call, so importing this module has no side effects.
+ * @type {ProcessDeferFunction}
+ */
+export const processDefer: ProcessDeferFunction;
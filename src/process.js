@@ -0,0 +1,247 @@
+import { constants } from "node:os";
+import { DeferScope } from "./with-defer.js";
+
+/**
+ * @typedef {import("./with-defer.js").DeferOptions} DeferOptions
+ * @typedef {import("./with-defer.js").Deferrable} Deferrable
+ * @typedef {import("./with-defer.js").DeferredResult} DeferredResult
+ */
+
+/**
+ * @typedef {Object} ProcessDeferSettings
+ * @property {string[]} [signals=["SIGINT", "SIGTERM"]] - Signals that start the shutdown
+ * @property {boolean} [beforeExit=true] - Run the deferred functions when the event loop empties
+ * @property {boolean} [uncaughtErrors=true] - Run the deferred functions on `uncaughtException` and `unhandledRejection`, then exit with code 1
+ * @property {number|null} [deadline=10000] - Time in milliseconds the shutdown may take before the process exits anyway
+ */
+
+/**
+ * Scope options for the process-wide scope, plus when and how to shut down
+ * @typedef {DeferOptions & ProcessDeferSettings} ProcessDeferOptions
+ */
+
+/**
+ * The subset of Node's `process` used for shutdown handling, typed here so the
+ * module does not depend on Node's type definitions
+ * @typedef {Object} ProcessLike
+ * @property {function(string, function(...any): void): unknown} on - Adds an event listener
+ * @property {function(string, function(...any): void): unknown} off - Removes an event listener
+ * @property {function(number=): void} exit - Exits the process
+ * @property {number|string|undefined} exitCode - Exit code used when the process exits on its own
+ */
+
+/**
+ * @typedef {Object} ProcessDeferMethods
+ * @property {function(ProcessDeferOptions): void} configure - Sets the process-wide options; must be called before the first deferred function is registered
+ * @property {function(number=): Promise<void>} shutdown - Runs the deferred functions now and exits with the given code
+ */
+
+/**
+ * @typedef {function(Deferrable, DeferOptions=): DeferredResult} ProcessDeferCallable
+ */
+
+/**
+ * @typedef {ProcessDeferCallable & ProcessDeferMethods} ProcessDeferFunction
+ */
+
+/** @type {Required<ProcessDeferSettings>} */
+const DEFAULT_SETTINGS = {
+	signals: ["SIGINT", "SIGTERM"],
+	beforeExit: true,
+	uncaughtErrors: true,
+	deadline: 10000,
+};
+
+/** @type {ProcessDeferOptions} */
+let config = DEFAULT_SETTINGS;
+/** @type {DeferScope|null} */
+let scope = null;
+/** @type {Array<[string, function(...any): void]>} */
+let listeners = [];
+/** @type {Promise<void>|null} */
+let shutdownPromise = null;
+// Failure exit code requested while a shutdown was already running, e.g. by an uncaught error during beforeExit
+let pendingExitCode = 0;
+
+/**
+ * Returns Node's process object
+ * @returns {ProcessLike}
+ */
+function getProcess() {
+	return /** @type {any} */ (globalThis).process;
+}
+
+/**
+ * Validates the process-wide settings
+ * @param {ProcessDeferOptions} options - Options to validate
+ */
+function validateSettings(options) {
+	const { signals, beforeExit, uncaughtErrors, deadline } = options;
+	if (
+		signals !== undefined &&
+		!(
+			Array.isArray(signals) &&
+			signals.every((signal) => typeof signal === "string")
+		)
+	) {
+		throw new TypeError("signals must be an array of signal names");
+	}
+	for (const [name, value] of [
+		["beforeExit", beforeExit],
+		["uncaughtErrors", uncaughtErrors],
+	]) {
+		if (value !== undefined && typeof value !== "boolean") {
+			throw new TypeError(`${name} must be a boolean`);
+		}
+	}
+	if (
+		deadline !== null &&
+		deadline !== undefined &&
+		!(typeof deadline === "number" && Number.isFinite(deadline) && deadline > 0)
+	) {
+		throw new TypeError("deadline must be a positive finite number or null");
+	}
+}
+
+/**
+ * Registers the listeners that start the shutdown
+ * @param {Required<ProcessDeferSettings>} settings - When to shut down
+ */
+function installListeners({ signals, beforeExit, uncaughtErrors }) {
+	const proc = getProcess();
+	/** @param {unknown} err */
+	const onUncaughtError = (err) => {
+		// Listening replaces Node's default report, so print the error like it would
+		console.error(err);
+		shutdown(1);
+	};
+
+	for (const signal of signals) {
+		listeners.push([
+			signal,
+			() => {
+				// Shell convention: 128 plus the signal number
+				const exitCode =
+					128 +
+					(constants.signals[/** @type {NodeJS.Signals} */ (signal)] ?? 0);
+				// A second signal means the user is done waiting for cleanup
+				if (shutdownPromise) {
+					proc.exit(exitCode);
+					return;
+				}
+				shutdown(exitCode);
+			},
+		]);
+	}
+	if (beforeExit) {
+		listeners.push(["beforeExit", () => shutdown(undefined, false)]);
+	}
+	if (uncaughtErrors) {
+		listeners.push(["uncaughtException", onUncaughtError]);
+		listeners.push(["unhandledRejection", onUncaughtError]);
+	}
+
+	for (const [event, listener] of listeners) {
+		proc.on(event, listener);
+	}
+}
+
+/**
+ * Removes the listeners registered by installListeners
+ */
+function removeListeners() {
+	const proc = getProcess();
+	for (const [event, listener] of listeners) {
+		proc.off(event, listener);
+	}
+	listeners = [];
+}
+
+/**
+ * Runs the process-wide deferred functions once, then exits with the given code
+ * @param {number} [exitCode] - Exit code; a failed cleanup turns 0 into 1
+ * @param {boolean} [exit=true] - Whether to exit, or only set `process.exitCode` and let the process end on its own
+ * @returns {Promise<void>}
+ */
+function shutdown(exitCode = 0, exit = true) {
+	if (shutdownPromise) {
+		if (exitCode !== 0 && pendingExitCode === 0) {
+			pendingExitCode = exitCode;
+		}
+		return shutdownPromise;
+	}
+	const proc = getProcess();
+	const { deadline } = { ...DEFAULT_SETTINGS, ...config };
+
+	let deadlineId;
+	if (deadline !== null) {
+		deadlineId = setTimeout(() => {
+			console.error(
+				`processDefer: shutdown deadline of ${deadline}ms exceeded, exiting`,
+			);
+			proc.exit(exitCode || 1);
+		}, deadline);
+	}
+
+	shutdownPromise = (scope ? scope.close() : Promise.resolve())
+		.then(
+			() => exitCode,
+			(err) => {
+				// Only reachable with throwOnError
+				console.error(err);
+				return exitCode || 1;
+			},
+		)
+		.then((result) => {
+			clearTimeout(deadlineId);
+			removeListeners();
+			const code = result || pendingExitCode;
+			// A failure during a beforeExit shutdown still ends the process, as it would have on its own
+			if (exit || pendingExitCode !== 0) {
+				proc.exit(code);
+			} else if (code !== 0) {
+				proc.exitCode = code;
+			}
+		});
+	return shutdownPromise;
+}
+
+/**
+ * Adds a deferred function to the process-wide scope, which runs once when the process
+ * receives a shutdown signal, its event loop empties, or an error goes uncaught.
+ * Listeners are only installed by the first call, so importing this module has no side effects.
+ * @type {ProcessDeferFunction}
+ */
+const processDefer = (callback, options = {}) => {
+	if (shutdownPromise) {
+		throw new Error("Cannot call processDefer() after shutdown has started.");
+	}
+	if (!scope) {
+		const { signals, beforeExit, uncaughtErrors, deadline, ...scopeOptions } =
+			config;
+		scope = new DeferScope(scopeOptions);
+		installListeners({ ...DEFAULT_SETTINGS, ...config });
+	}
+	return scope.defer(callback, options);
+};
+
+processDefer.configure = (options) => {
+	if (options === null || typeof options !== "object") {
+		throw new TypeError("Options must be an object");
+	}
+	if (scope) {
+		throw new Error(
+			"processDefer.configure() must be called before the first processDefer().",
+		);
+	}
+	validateSettings(options);
+	const { signals, beforeExit, uncaughtErrors, deadline, ...scopeOptions } =
+		options;
+	// Invalid scope options would otherwise only throw from every processDefer() call
+	DeferScope.validateOptions(scopeOptions);
+	config = { ...options };
+};
+
+processDefer.shutdown = (exitCode = 0) => shutdown(exitCode);
+
+export { processDefer };
@@ -0,0 +1,71 @@
+export type DeferOptions = import("./with-defer.js").DeferOptions;
+export type Deferrable = import("./with-defer.js").Deferrable;
+export type CallbackFunction = import("./with-defer.js").CallbackFunction;
+export type CallbackContext = import("./with-defer.js").CallbackContext;
+export type DeferFunction = import("./with-defer.js").DeferFunction;
+export type DeferredResult = import("./with-defer.js").DeferredResult;
+export type RegistrationStatus = "pending" | "running" | "fulfilled" | "rejected" | "timedOut" | "skipped" | "cancelled";
+export type Registration = {
+    /**
+     * - The name of the deferred function
+     */
+    name: string;
+    /**
+     * - The local options it was registered with
+     */
+    options: DeferOptions;
+    /**
+     * - Registration order, starting at 0
+     */
+    order: number;
+    /**
+     * - What became of the deferred function
+     */
+    status: RegistrationStatus;
+    /**
+     * - The error it failed with, if rejected, timed out or skipped
+     */
+    error: unknown;
+};
+/**
+ * Selects deferred functions by name, by registration order, or with a predicate
+ */
+export type RegistrationMatcher = string | number | ((arg0: Registration) => boolean);
+export type FakeDefer = {
+    /**
+     * - Records each registration; pass it to the code under test
+     */
+    defer: DeferFunction;
+    /**
+     * - Snapshot of the registrations, in registration order
+     */
+    registrations: Registration[];
+    /**
+     * - Runs the most recently registered pending deferred function
+     */
+    runNext: () => Promise<Registration | undefined>;
+    /**
+     * - Runs all pending deferred functions, like the end of a withDefer scope
+     */
+    runAll: () => Promise<void>;
+    /**
+     * - Makes matching deferred functions throw instead of running, when they execute
+     */
+    simulateFailure: (arg0: RegistrationMatcher, arg1: unknown | undefined) => void;
+    /**
+     * - Makes matching deferred functions time out instead of running, when they execute
+     */
+    simulateTimeout: (arg0: RegistrationMatcher) => void;
+    /**
+     * - Throws unless every deferred function that was not cancelled has run
+     */
+    assertAllRan: () => void;
+};
+/**
+ * Creates an inspectable defer function for testing code that registers deferred functions.
+ * It is backed by a real DeferScope, so the deferred functions behave as they would in production,
+ * and only relies on plain errors, so it works with any test framework.
+ * @param {DeferOptions} [options={}] - Global options for the backing scope
+ * @returns {FakeDefer}
+ */
+export function createFakeDefer(options?: DeferOptions): FakeDefer;
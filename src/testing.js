@@ -0,0 +1,265 @@
+import { DeferScope } from "./with-defer.js";
+
+/**
+ * @typedef {import("./with-defer.js").DeferOptions} DeferOptions
+ * @typedef {import("./with-defer.js").Deferrable} Deferrable
+ * @typedef {import("./with-defer.js").CallbackFunction} CallbackFunction
+ * @typedef {import("./with-defer.js").CallbackContext} CallbackContext
+ * @typedef {import("./with-defer.js").DeferFunction} DeferFunction
+ * @typedef {import("./with-defer.js").DeferredResult} DeferredResult
+ */
+
+/**
+ * @typedef {"pending"|"running"|"fulfilled"|"rejected"|"timedOut"|"skipped"|"cancelled"} RegistrationStatus
+ */
+
+/**
+ * @typedef {Object} Registration
+ * @property {string} name - The name of the deferred function
+ * @property {DeferOptions} options - The local options it was registered with
+ * @property {number} order - Registration order, starting at 0
+ * @property {RegistrationStatus} status - What became of the deferred function
+ * @property {unknown} error - The error it failed with, if rejected, timed out or skipped
+ */
+
+/**
+ * Selects deferred functions by name, by registration order, or with a predicate
+ * @typedef {string|number|function(Registration): boolean} RegistrationMatcher
+ */
+
+/**
+ * @typedef {Object} FakeDefer
+ * @property {DeferFunction} defer - Records each registration; pass it to the code under test
+ * @property {Registration[]} registrations - Snapshot of the registrations, in registration order
+ * @property {function(): Promise<Registration|undefined>} runNext - Runs the most recently registered pending deferred function
+ * @property {function(): Promise<void>} runAll - Runs all pending deferred functions, like the end of a withDefer scope
+ * @property {function(RegistrationMatcher, unknown=): void} simulateFailure - Makes matching deferred functions throw instead of running, when they execute
+ * @property {function(RegistrationMatcher): void} simulateTimeout - Makes matching deferred functions time out instead of running, when they execute
+ * @property {function(): void} assertAllRan - Throws unless every deferred function that was not cancelled has run
+ */
+
+/**
+ * Disposal symbols with the same fallback as the main module, for runtimes without Explicit Resource Management
+ * @type {typeof Symbol.asyncDispose}
+ */
+const asyncDisposeSymbol = /** @type {typeof Symbol.asyncDispose} */ (
+	Symbol.asyncDispose ?? Symbol.for("Symbol.asyncDispose")
+);
+/** @type {typeof Symbol.dispose} */
+const disposeSymbol = /** @type {typeof Symbol.dispose} */ (
+	Symbol.dispose ?? Symbol.for("Symbol.dispose")
+);
+
+/**
+ * Returns the name a deferred function shows up with in error messages and reports
+ * @param {Deferrable} callback - The deferred function, or a disposable resource
+ * @returns {string}
+ */
+function getName(callback) {
+	if (typeof callback === "function") {
+		return callback.name || "anonymous";
+	}
+	const constructorName = callback?.constructor?.name;
+	return constructorName && constructorName !== "Object"
+		? constructorName
+		: "anonymous";
+}
+
+/**
+ * Checks whether a registration is selected by a matcher
+ * @param {RegistrationMatcher} matcher - Name, registration order or predicate
+ * @param {Registration} registration - The registration to check
+ * @returns {boolean}
+ */
+function matches(matcher, registration) {
+	if (typeof matcher === "function") {
+		return matcher(registration);
+	}
+	return typeof matcher === "number"
+		? registration.order === matcher
+		: registration.name === matcher;
+}
+
+/**
+ * Records how a deferred function settled, unless it already has
+ * @param {Registration} registration - The registration record
+ * @param {"fulfilled"|"rejected"|"timedOut"} status - How the deferred function settled
+ * @param {unknown} [error] - The error it failed with
+ */
+function settle(registration, status, error) {
+	if (registration.status === "running") {
+		registration.status = status;
+		registration.error = error;
+	}
+}
+
+/**
+ * Creates an inspectable defer function for testing code that registers deferred functions.
+ * It is backed by a real DeferScope, so the deferred functions behave as they would in production,
+ * and only relies on plain errors, so it works with any test framework.
+ * @param {DeferOptions} [options={}] - Global options for the backing scope
+ * @returns {FakeDefer}
+ */
+function createFakeDefer(options = {}) {
+	const scope = new DeferScope(options);
+	/** @type {Array<{registration: Registration, handle: DeferredResult}>} */
+	const entries = [];
+	/** @type {Array<{matcher: RegistrationMatcher, error: unknown}>} */
+	const failures = [];
+	/** @type {RegistrationMatcher[]} */
+	const timeouts = [];
+
+	/**
+	 * Checks whether a registration has a simulated timeout
+	 * @param {Registration} registration - The registration record
+	 * @returns {boolean}
+	 */
+	const timesOut = (registration) =>
+		timeouts.some((matcher) => matches(matcher, registration));
+
+	/**
+	 * Wraps a deferred function to record its outcome, or to fail or time out as simulated
+	 * @param {Deferrable} callback - The deferred function, or a disposable resource
+	 * @param {Registration} registration - Its registration record
+	 * @returns {CallbackFunction}
+	 */
+	const instrument = (callback, registration) => {
+		const run =
+			typeof callback === "function"
+				? callback
+				: () => {
+						const dispose =
+							callback[asyncDisposeSymbol] ?? callback[disposeSymbol];
+						return dispose.call(callback);
+					};
+		/** @param {CallbackContext} context */
+		const instrumented = async (context) => {
+			const failure = failures.find(({ matcher }) =>
+				matches(matcher, registration),
+			);
+			const simulatedTimeout = timesOut(registration);
+			registration.status = "running";
+			try {
+				if (simulatedTimeout) {
+					// Settles only once the scope has given up on it
+					await new Promise((resolve) => {
+						context.signal.addEventListener("abort", resolve);
+					});
+					throw context.signal.reason;
+				}
+				if (failure) {
+					throw failure.error;
+				}
+				const result = await run(context);
+				settle(registration, "fulfilled");
+				return result;
+			} catch (err) {
+				settle(registration, simulatedTimeout ? "timedOut" : "rejected", err);
+				throw err;
+			}
+		};
+		// Keep the original name for error messages and reports
+		Object.defineProperty(instrumented, "name", { value: registration.name });
+		return instrumented;
+	};
+
+	/** @type {DeferFunction} */
+	const defer = (callback, localOptions = {}) => {
+		/** @type {Registration} */
+		const registration = {
+			name: localOptions?.name ?? getName(callback),
+			options: localOptions,
+			order: entries.length,
+			status: "pending",
+			error: undefined,
+		};
+		// A disposable that cannot be disposed is rejected by the scope itself
+		const instrumentable =
+			typeof callback === "function" ||
+			typeof callback?.[asyncDisposeSymbol] === "function" ||
+			typeof callback?.[disposeSymbol] === "function";
+		const handle = scope.defer(
+			instrumentable ? instrument(callback, registration) : callback,
+			timesOut(registration) ? { ...localOptions, timeout: 1 } : localOptions,
+		);
+		entries.push({ registration, handle });
+		// The scope settles a deferred function that times out without waiting for it,
+		// and one skipped because the scope's totalTimeout ran out without running it
+		handle.promise.then((result) => {
+			if (handle.status === "skipped" && registration.status === "pending") {
+				registration.status = "skipped";
+				registration.error = result;
+			}
+			settle(registration, "timedOut", result);
+		});
+
+		const { cancel, restore } = handle;
+		handle.cancel = () => {
+			cancel();
+			if (registration.status === "pending") {
+				registration.status = "cancelled";
+			}
+		};
+		handle.restore = () => {
+			restore();
+			if (registration.status === "cancelled") {
+				registration.status = "pending";
+			}
+		};
+		return handle;
+	};
+	defer.move = () => scope.defer.move();
+	defer.pending = () => scope.pending();
+	Object.defineProperty(defer, "size", { get: () => scope.size });
+
+	return {
+		defer,
+		get registrations() {
+			return entries.map(({ registration }) => ({ ...registration }));
+		},
+		async runNext() {
+			const entry = [...entries]
+				.reverse()
+				.find(({ registration }) => registration.status === "pending");
+			if (!entry) {
+				return undefined;
+			}
+			await entry.handle[asyncDisposeSymbol]();
+			return { ...entry.registration };
+		},
+		runAll() {
+			return scope.close();
+		},
+		simulateFailure(matcher, error = new Error("simulated failure")) {
+			failures.push({ matcher, error });
+		},
+		simulateTimeout(matcher) {
+			timeouts.push(matcher);
+			// Deferred functions that have not started yet need a timeout that expires, too
+			for (const { registration, handle } of entries) {
+				if (
+					(registration.status === "pending" ||
+						registration.status === "cancelled") &&
+					matches(matcher, registration)
+				) {
+					handle.update({ timeout: 1 });
+				}
+			}
+		},
+		assertAllRan() {
+			const pending = entries
+				.map(({ registration }) => registration)
+				.filter(({ status }) => status === "pending" || status === "running");
+			if (pending.length > 0) {
+				const names = pending
+					.map(({ name, order }) => `${name} (#${order})`)
+					.join(", ");
+				throw new Error(
+					`${pending.length} deferred functions did not finish running: ${names}`,
+				);
+			}
+		},
+	};
+}
+
+export { createFakeDefer };
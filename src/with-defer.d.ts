@@ -1,3 +1,27 @@
+/**
+ * What a scope with leak detection leaves behind to report itself with once it has been collected.
+ * It must not reference the scope, or the scope could never be collected.
+ */
+export type LeakLedger = {
+    /**
+     * - One entry per unexecuted deferred function
+     */
+    pending: Set<{
+        name: string;
+    }>;
+    /**
+     * - Lifecycle hooks of the scope
+     */
+    hooks: DeferHooks | null;
+    /**
+     * - Error reporter of the scope
+     */
+    errorReporter: ErrorReporter | null;
+    /**
+     * - Whether debug logging is enabled
+     */
+    debug: boolean;
+};
 export type ErrorContext = {
     /**
      * - The error object
@@ -11,13 +35,54 @@ export type ErrorContext = {
      * - The error message
      */
     message: string;
+    /**
+     * - The name of the deferred function, from the `name` option or the callback
+     */
+    name: string | null;
+    /**
+     * - The labels of the deferred function
+     */
+    labels: Labels | null;
+    /**
+     * - The attempt that failed, starting at 1; 0 if the deferred function never started, e.g.
+     * when it was skipped because the scope's `totalTimeout` ran out
+     */
+    attempt: number;
+    /**
+     * - When the deferred function started executing, from performance.now()
+     */
+    startTime: number | null;
+    /**
+     * - Time since the deferred function started, in milliseconds
+     */
+    durationMs: number | null;
 };
 export type ErrorReporter = (arg0: Error, arg1: ErrorContext) => void;
+/**
+ * Key-value metadata identifying a deferred function in error messages and reports
+ */
+export type Labels = Record<string, string | number | boolean>;
 export type DeferOptions = {
+    /**
+     * - Name of the deferred function in error messages, reports and hooks; defaults to the callback's name (local options only)
+     */
+    name?: string;
+    /**
+     * - Labels shown next to the name in error messages and passed to errorReporter; merged with the scope's labels
+     */
+    labels?: Labels | null;
     /**
      * - Timeout for deferred functions
      */
     timeout?: number | null;
+    /**
+     * - Budget in milliseconds for running all deferred functions of a scope (scope-level); timeouts are clamped to what is left, and deferred functions that have not started once it runs out are skipped
+     */
+    totalTimeout?: number | null;
+    /**
+     * - Duration in milliseconds after which a still-running deferred function is reported as slow
+     */
+    slowThreshold?: number | null;
     /**
      * - Enable debug logging
      */
@@ -30,8 +95,322 @@ export type DeferOptions = {
      * - Function to report errors
      */
     errorReporter?: ErrorReporter | null;
+    /**
+     * - Maximum number of deferred functions running at once (scope-level); `Infinity` starts them all together
+     */
+    concurrency?: number;
+    /**
+     * - Cleanup phases in execution order (scope-level); unlisted, the "default" phase runs first
+     */
+    phases?: Array<string | PhaseDefinition>;
+    /**
+     * - Phase the deferred function belongs to
+     */
+    phase?: string;
+    /**
+     * - Retry policy for failing deferred functions
+     */
+    retry?: RetryOptions | null;
+    /**
+     * - Resolve with an ExecutionReport instead of the return value (scope-level; not
+     * supported by generator functions and withDefer.handler)
+     */
+    report?: boolean;
+    /**
+     * - Callbacks notified of scope and deferred function lifecycle events (scope-level)
+     */
+    hooks?: DeferHooks | null;
+    /**
+     * - OpenTelemetry-compatible tracer that records a span per scope run and per deferred function (scope-level)
+     */
+    tracer?: Tracer | null;
+    /**
+     * - Report deferred functions that never settle and scopes collected before closing (scope-level)
+     */
+    leakDetection?: boolean | LeakDetectionOptions;
+};
+export type LeakDetectionOptions = {
+    /**
+     * - Duration in milliseconds after which a still-running deferred function is reported as a possible leak
+     */
+    pendingThreshold?: number;
+    /**
+     * - Report scopes that are garbage-collected while still holding unexecuted deferred functions
+     */
+    gc?: boolean;
+};
+export type LeakEvent = {
+    /**
+     * - Whether a deferred function never settled, or its scope was collected without closing
+     */
+    reason: "pending" | "collected";
+    /**
+     * - Names of the leaked deferred functions
+     */
+    deferreds: string[];
+    /**
+     * - Position in execution order of a pending deferred function
+     */
+    index: number | null;
+    /**
+     * - How long a pending deferred function has been running, in milliseconds
+     */
+    elapsedMs: number | null;
+};
+/**
+ * The subset of an OpenTelemetry `Span` used for tracing
+ */
+export type Span = {
+    /**
+     * - Sets a single attribute
+     */
+    setAttribute: (arg0: string, arg1: (string | number | boolean)) => unknown;
+    /**
+     * - Records an exception event
+     */
+    recordException: (arg0: (Error | string)) => void;
+    /**
+     * - Sets the span status
+     */
+    setStatus: (arg0: {
+        code: number;
+        message?: string;
+    }) => unknown;
+    /**
+     * - Ends the span
+     */
+    end: () => void;
+};
+/**
+ * The subset of an OpenTelemetry `Tracer` used for tracing; spans are started as active so
+ * deferred function spans, and spans started inside callbacks, nest under their scope
+ */
+export type Tracer = {
+    /**
+     * - Starts a span and makes it active while the callback runs
+     */
+    startActiveSpan: (arg0: string, arg1: {
+        attributes?: Record<string, string | number | boolean>;
+    }, arg2: (arg0: Span) => any) => any;
+};
+export type DeferredEvent = {
+    /**
+     * - The name of the deferred function
+     */
+    name: string;
+    /**
+     * - The phase the deferred function belongs to
+     */
+    phase: string;
+    /**
+     * - Position in execution order, or null while it is only registered
+     */
+    index: number | null;
+    /**
+     * - Timeout for the deferred function
+     */
+    timeout: number | null;
+};
+export type DeferredSettledEvent = {
+    /**
+     * - The name of the deferred function
+     */
+    name: string;
+    /**
+     * - The phase the deferred function belongs to
+     */
+    phase: string;
+    /**
+     * - Position in execution order
+     */
+    index: number | null;
+    /**
+     * - Timeout for the deferred function
+     */
+    timeout: number | null;
+    /**
+     * - How the deferred function settled
+     */
+    status: "fulfilled" | "rejected" | "timedOut" | "skipped";
+    /**
+     * - The value it returned, if fulfilled
+     */
+    value: unknown;
+    /**
+     * - The error it failed with, if rejected, timed out or skipped
+     */
+    error: unknown;
+    /**
+     * - How long it ran, in milliseconds
+     */
+    durationMs: number;
+};
+export type DeferredSlowEvent = {
+    /**
+     * - The name of the deferred function
+     */
+    name: string;
+    /**
+     * - The phase the deferred function belongs to
+     */
+    phase: string;
+    /**
+     * - Position in execution order
+     */
+    index: number | null;
+    /**
+     * - Timeout for the deferred function
+     */
+    timeout: number | null;
+    /**
+     * - The threshold it exceeded, in milliseconds
+     */
+    slowThreshold: number;
+    /**
+     * - How long it had been running when reported, in milliseconds
+     */
+    elapsedMs: number;
+};
+export type ScopeEndEvent = {
+    /**
+     * - Outcome of each executed deferred function, in execution order
+     */
+    deferreds: DeferredOutcome[];
+    /**
+     * - Time since the scope was created, in milliseconds
+     */
+    durationMs: number;
+};
+/**
+ * Hooks are notifications: their return values are ignored and their errors never reach the scope
+ */
+export type DeferHooks = {
+    /**
+     * - Called when a scope is created
+     */
+    onScopeStart?: () => void;
+    /**
+     * - Called when defer() adds a deferred function
+     */
+    onDeferRegistered?: (arg0: DeferredEvent) => void;
+    /**
+     * - Called when a deferred function starts executing
+     */
+    onDeferStart?: (arg0: DeferredEvent) => void;
+    /**
+     * - Called when a deferred function fulfills, rejects, times out or is skipped by `totalTimeout`
+     */
+    onDeferSettled?: (arg0: DeferredSettledEvent) => void;
+    /**
+     * - Called when a cancelled deferred function is skipped
+     */
+    onDeferCancelled?: (arg0: DeferredEvent) => void;
+    /**
+     * - Called when a deferred function exceeds its `slowThreshold`; replaces reporting through `errorReporter`
+     */
+    onSlow?: (arg0: DeferredSlowEvent) => void;
+    /**
+     * - Called when leak detection finds a possible leak; replaces reporting through `errorReporter`
+     */
+    onLeak?: (arg0: LeakEvent) => void;
+    /**
+     * - Called once all deferred functions of a scope have settled
+     */
+    onScopeEnd?: (arg0: ScopeEndEvent) => void;
+};
+export type DeferredOutcome = {
+    /**
+     * - The name of the deferred function
+     */
+    name: string;
+    /**
+     * - How the deferred function settled
+     */
+    status: "fulfilled" | "rejected" | "cancelled" | "timedOut" | "skipped";
+    /**
+     * - The value it returned, if fulfilled
+     */
+    value: unknown;
+    /**
+     * - The error it failed with, if rejected, timed out or skipped
+     */
+    error: unknown;
+    /**
+     * - How long it ran, in milliseconds
+     */
+    durationMs: number;
+};
+export type ExecutionReport = {
+    /**
+     * - The main function's return value, as left by the deferred functions
+     */
+    value: unknown;
+    /**
+     * - The main function's error, unless a deferred function recovered it
+     */
+    error: unknown;
+    /**
+     * - Outcome of each executed deferred function, in execution order
+     */
+    deferreds: DeferredOutcome[];
+};
+export type RetryOptions = {
+    /**
+     * - Total number of attempts, including the first one
+     */
+    attempts?: number;
+    /**
+     * - How the delay grows between attempts
+     */
+    backoff?: "fixed" | "exponential";
+    /**
+     * - Delay before the first retry, in milliseconds
+     */
+    delay?: number;
+    /**
+     * - Upper bound for the delay between attempts
+     */
+    maxDelay?: number;
+    /**
+     * - Randomize each delay between zero and its computed value
+     */
+    jitter?: boolean;
+    /**
+     * - Decides whether to retry after an error, given the error and attempt number
+     */
+    shouldRetry?: (arg0: unknown, arg1: number) => boolean;
+};
+export type PhaseDefinition = {
+    /**
+     * - The name of the phase
+     */
+    name: string;
+    /**
+     * - Execution order of the deferred functions within the phase
+     */
+    order?: "lifo" | "fifo";
+};
+export type CallbackContext = {
+    /**
+     * - Returns the main function's in-flight error (or undefined) and marks it as handled
+     */
+    recover: () => unknown;
+    /**
+     * - Returns the pending return value of the main function
+     */
+    getResult: () => unknown;
+    /**
+     * - Replaces the value the wrapped function resolves with
+     */
+    setResult: (arg0: unknown) => void;
+    /**
+     * - Aborted when the deferred function times out or its scope is torn down
+     */
+    signal: AbortSignal;
 };
-export type CallbackFunction = () => (unknown | Promise<unknown>);
+export type CallbackFunction = (arg0: CallbackContext) => (unknown | Promise<unknown>);
+export type Deferrable = CallbackFunction | Disposable | AsyncDisposable;
+export type DeferredStatus = "pending" | "running" | "fulfilled" | "rejected" | "cancelled" | "timedOut" | "skipped";
 export type Deferred = {
     /**
      * - The deferred callback function
@@ -41,38 +420,224 @@ export type Deferred = {
      * - Timeout for the deferred function
      */
     timeout: number | null;
+    /**
+     * - The scope's `totalTimeout` budget, once the scope runs its deferred functions
+     */
+    deadline: Deadline | null;
+    /**
+     * - Duration after which the deferred function is reported as slow
+     */
+    slowThreshold: number | null;
+    /**
+     * - Duration after which the deferred function is reported as a possible leak
+     */
+    leakThreshold: number | null;
+    /**
+     * - Where the deferred function is tracked for leak detection
+     */
+    leak: {
+        ledger: LeakLedger;
+        entry: {
+            name: string;
+        };
+    } | null;
+    /**
+     * - Retry policy for the deferred function
+     */
+    retry: RetryOptions | null;
     /**
      * - The name of the function
      */
     functionName: string;
+    /**
+     * - Labels of the deferred function, merged with those of its scope
+     */
+    labels: Labels | null;
+    /**
+     * - The name with its labels, as shown in error messages
+     */
+    displayName: string;
+    /**
+     * - The phase the deferred function belongs to
+     */
+    phase: string;
+    /**
+     * - The local options it was registered with, including changes made with update()
+     */
+    options: DeferOptions;
+    /**
+     * - Registration order in its scope, starting at 0
+     */
+    order: number;
     /**
      * - Whether the deferred function has been cancelled
      */
     isCancelled: boolean;
+    /**
+     * - Execution status of the deferred function
+     */
+    status: DeferredStatus;
+    /**
+     * - The value the deferred function returned, once fulfilled
+     */
+    value: unknown;
+    /**
+     * - The error the deferred function failed with, once rejected or timed out
+     */
+    error: unknown;
+    /**
+     * - When execution started, from performance.now()
+     */
+    startTime: number | null;
+    /**
+     * - When execution settled, from performance.now()
+     */
+    endTime: number | null;
     /**
      * - Function to resolve the deferred promise
      */
     resolve: (arg0: unknown) => void;
+    /**
+     * - Promise that resolves when the deferred function completes
+     */
+    promise: Promise<unknown>;
+    /**
+     * - Executes the deferred function early in its owning scope
+     */
+    runNow: (arg0: Deferred) => unknown;
     /**
      * - Per-deferred error reporter function
      */
     errorReporter: ErrorReporter | null;
+    /**
+     * - Lifecycle hooks of the owning scope
+     */
+    hooks: DeferHooks | null;
+    /**
+     * - Tracer of the owning scope
+     */
+    tracer: Tracer | null;
+    /**
+     * - Position in execution order, once the deferred function starts
+     */
+    index: number | null;
+    /**
+     * - The attempt currently executing, starting at 1
+     */
+    attempt: number;
     /**
      * - Whether debug logging is enabled for this deferred
      */
     debug: boolean;
 };
-export type DeferredResult = {
+/**
+ * Shared by all deferred functions of a scope with `totalTimeout`
+ */
+export type Deadline = {
+    /**
+     * - When the budget runs out, from performance.now()
+     */
+    at: number;
+    /**
+     * - Set once a deferred function timed out on the budget, as timers may fire slightly early
+     */
+    exceeded: boolean;
+};
+export type DeferredResultProperties = {
     /**
      * - Function to cancel the deferred execution
      */
     cancel: () => void;
+    /**
+     * - Undoes cancel(), as long as the deferred function has not started
+     */
+    restore: () => void;
+    /**
+     * - Changes timeout, slowThreshold, retry, errorReporter or debug before the deferred function starts
+     */
+    update: (arg0: DeferOptions) => void;
+    /**
+     * - Execution status of the deferred function; "cancelled" as soon as it is cancelled
+     */
+    status: DeferredStatus;
     /**
      * - Promise that resolves when the deferred function completes
      */
     promise: Promise<unknown>;
+    /**
+     * - When the deferred function started executing, from performance.now()
+     */
+    startTime: number | null;
+    /**
+     * - When the deferred function settled, from performance.now()
+     */
+    endTime: number | null;
+    /**
+     * - How long the deferred function ran, once settled
+     */
+    durationMs: number | null;
 };
-export type DeferFunction = (arg0: CallbackFunction, arg1: DeferOptions | undefined) => DeferredResult;
+/**
+ * Disposing the handle executes the deferred function early and removes it from the queue, like runNow()
+ */
+export type DeferredResult = DeferredResultProperties & {
+    runNow: () => Promise<unknown>;
+} & AsyncDisposable;
+/**
+ * A read-only view of a deferred function that is still queued in its scope
+ */
+export type PendingDeferred = {
+    /**
+     * - The name of the deferred function
+     */
+    name: string;
+    /**
+     * - Labels of the deferred function, merged with those of its scope
+     */
+    labels: Labels | null;
+    /**
+     * - The phase the deferred function belongs to
+     */
+    phase: string;
+    /**
+     * - The local options it was registered with, including changes made with update()
+     */
+    options: DeferOptions;
+    /**
+     * - Registration order in the scope, starting at 0
+     */
+    order: number;
+    /**
+     * - Whether the deferred function has been cancelled
+     */
+    cancelled: boolean;
+};
+export type DeferQueueMethods = {
+    /**
+     * - Returns a snapshot of the queued deferred functions, in execution order
+     */
+    pending: () => PendingDeferred[];
+    /**
+     * - Number of queued deferred functions, including cancelled ones
+     */
+    size: number;
+};
+export type DeferFunctionMethods = {
+    /**
+     * - Moves all pending deferred functions out of the scope into a new DeferScope
+     */
+    move: () => DeferScope;
+};
+export type DeferCallable = (arg0: Deferrable, arg1: DeferOptions | undefined) => DeferredResult;
+export type DeferFunction = DeferCallable & DeferFunctionMethods & DeferQueueMethods;
+/**
+ * Disposing the handle executes the deferred function early and removes it from the queue, like runNow()
+ */
+export type SyncDeferredResult = DeferredResultProperties & {
+    runNow: () => unknown;
+} & Disposable;
+export type SyncDeferCallable = (arg0: Deferrable, arg1: DeferOptions | undefined) => SyncDeferredResult;
+export type SyncDeferFunction = SyncDeferCallable & DeferQueueMethods;
 export type DeferContext = {
     /**
      * - Function to defer execution
@@ -84,9 +649,148 @@ export type DeferContext = {
     run: (arg0: () => (unknown | Promise<unknown>)) => Promise<unknown>;
 };
 /**
- * Creates a wrapper function that allows for deferred execution with error handling
+ * A LIFO stack of deferred functions that is not tied to a single function call.
+ * Also implements the AsyncDisposableStack interface, so it works with `await using`.
+ */
+export class DeferScope {
+    /**
+     * Checks options for a scope without creating one, for APIs that create scopes later
+     * @param {DeferOptions} options - Global options for deferred functions in a scope
+     * @throws {TypeError} If the options are invalid
+     */
+    static validateOptions(options: DeferOptions): void;
+    /**
+     * @param {DeferOptions} [options={}] - Global options for deferred functions in this scope
+     */
+    constructor(options?: DeferOptions);
+    /**
+     * Adds a deferred function to the scope; can be passed around detached from the scope
+     * @type {DeferFunction}
+     */
+    defer: DeferFunction;
+    /**
+     * Whether the scope has been closed
+     * @returns {boolean}
+     */
+    get disposed(): boolean;
+    /**
+     * Number of queued deferred functions, including cancelled ones
+     * @returns {number}
+     */
+    get size(): number;
+    /**
+     * Returns a snapshot of the queued deferred functions, in the order they will execute
+     * @returns {PendingDeferred[]}
+     */
+    pending(): PendingDeferred[];
+    /**
+     * Runs a function with this scope's defer, then closes the scope
+     * @param {function(DeferFunction): (unknown|Promise<unknown>)} fn - The main function to execute
+     * @returns {Promise<unknown>} - The return value of the main function
+     */
+    run(fn: (arg0: DeferFunction) => (unknown | Promise<unknown>)): Promise<unknown>;
+    /**
+     * Runs a (async) generator function with this scope's defer, closing the scope once iteration
+     * completes, throws, or is stopped early through return() (e.g. `break` in `for await`)
+     * @param {function(DeferFunction): (Iterable<unknown>|AsyncIterable<unknown>)} fn - The generator function to execute
+     * @returns {AsyncGenerator<unknown, unknown, unknown>} - Yields the generator's values and returns its return value
+     */
+    runGenerator(fn: (arg0: DeferFunction) => (Iterable<unknown> | AsyncIterable<unknown>)): AsyncGenerator<unknown, unknown, unknown>;
+    /**
+     * Runs a Fetch API handler with this scope's defer. When it returns a Response with a body, the
+     * scope closes once that body has been fully read, has errored or has been cancelled, instead of
+     * when the handler returns; otherwise it closes right away, like run(). Once the body streams, failures
+     * of the deferred functions only go through errorReporter, as `throwOnError` has nothing to reject.
+     * @param {function(DeferFunction): (Response|Promise<Response>)} fn - The handler to execute
+     * @returns {Promise<Response>} - The handler's response, with its body wrapped in a pass-through stream
+     */
+    runResponse(fn: (arg0: DeferFunction) => (Response | Promise<Response>)): Promise<Response>;
+    /**
+     * Executes the queued deferred functions in LIFO order; later calls wait for the same execution
+     * @returns {Promise<void>}
+     */
+    close(): Promise<void>;
+    /**
+     * Registers a disposable resource and returns it, like AsyncDisposableStack#use()
+     * @template {Disposable|AsyncDisposable|null|undefined} T
+     * @param {T} resource - The resource to dispose when the scope closes
+     * @returns {T}
+     */
+    use<T extends Disposable | AsyncDisposable | null | undefined>(resource: T): T;
+    /**
+     * Registers a dispose callback for a value and returns the value, like AsyncDisposableStack#adopt()
+     * @template T
+     * @param {T} value - The value to dispose when the scope closes
+     * @param {function(T): unknown} onDispose - Disposes the value
+     * @returns {T}
+     */
+    adopt<T>(value: T, onDispose: (arg0: T) => unknown): T;
+    /**
+     * Moves all pending deferred functions into a new scope and disposes this one, like AsyncDisposableStack#move()
+     * @returns {DeferScope} - A scope that owns the moved deferred functions
+     */
+    move(): DeferScope;
+    /**
+     * Closes the scope, like AsyncDisposableStack#disposeAsync()
+     * @returns {Promise<void>}
+     */
+    disposeAsync(): Promise<void>;
+    /**
+     * Closes the scope at the end of an `await using` block
+     * @returns {Promise<void>}
+     */
+    [Symbol.asyncDispose](): Promise<void>;
+    #private;
+}
+/**
+ * Standard (TC39) method decorator that runs each invocation with its own defer stack.
+ * Use as `@deferrable` or, to pass options, `@deferrable({ timeout: 1000 })`.
+ * @param {(function(...any): unknown)|DeferOptions|null} [methodOrOptions] - The decorated method, or options for the deferred functions
+ * @param {ClassMethodDecoratorContext} [context] - The decorator context, when used without options
+ * @returns {any} - The wrapped method, or a decorator when called with options
+ */
+export function deferrable(methodOrOptions?: ((...args: any[]) => unknown) | DeferOptions | null, context?: ClassMethodDecoratorContext): any;
+/**
+ * Creates a wrapper function that allows for deferred execution with error handling.
+ * Generator functions are wrapped in a generator of the same kind whose deferreds run when iteration ends;
+ * those of a synchronous generator run synchronously, like withDeferSync.
+ * @overload
+ * @param {function(SyncDeferFunction, ...any): Generator} fn - The generator function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...any): Generator<unknown, unknown, unknown>} - A function that returns a generator over the provided generator's values
+ */
+export function withDefer(fn: (arg0: SyncDeferFunction, ...args: any[]) => Generator, options?: DeferOptions): (...args: any[]) => Generator<unknown, unknown, unknown>;
+/**
+ * @overload
+ * @param {function(DeferFunction, ...any): AsyncGenerator} fn - The async generator function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...any): AsyncGenerator<unknown, unknown, unknown>} - A function that returns an async generator over the provided generator's values
+ */
+export function withDefer(fn: (arg0: DeferFunction, ...args: any[]) => AsyncGenerator, options?: DeferOptions): (...args: any[]) => AsyncGenerator<unknown, unknown, unknown>;
+/**
+ * @overload
  * @param {function(DeferFunction, ...unknown[]): (unknown|Promise<unknown>)} fn - The main function to execute
  * @param {DeferOptions} [options={}] - Global options for deferred functions
  * @returns {function(...unknown[]): Promise<unknown>} - A function that runs the provided function with deferred execution and returns the main function's return value
  */
 export function withDefer(fn: (arg0: DeferFunction, ...args: unknown[][]) => (unknown | Promise<unknown>), options?: DeferOptions): (...args: unknown[][]) => Promise<unknown>;
+export namespace withDefer {
+    /**
+     * Wraps a Fetch API handler (`Request` in, `Response` out) so its deferred functions run once the
+     * response body has been fully consumed, has errored or has been cancelled, rather than when the handler returns.
+     * Failures of deferred functions that run after a streamed body are only reported, as `throwOnError` has nothing to reject.
+     * @param {function(DeferFunction, Request, ...unknown[]): (Response|Promise<Response>)} fn - The handler to execute
+     * @param {DeferOptions} [options={}] - Global options for deferred functions
+     * @returns {function(Request, ...unknown[]): Promise<Response>} - A handler that returns the response with a pass-through body
+     */
+    function handler(fn: (arg0: DeferFunction, arg1: Request, ...args: unknown[][]) => (Response | Promise<Response>), options?: DeferOptions): (arg0: Request, ...args: unknown[][]) => Promise<Response>;
+}
+/**
+ * Creates a wrapper function that runs a synchronous function and its deferred functions synchronously.
+ * Deferred functions may not return thenables, and `timeout`, `totalTimeout`, `retry`, `concurrency` and
+ * `leakDetection` are not supported.
+ * @param {function(SyncDeferFunction, ...unknown[]): unknown} fn - The main function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...unknown[]): unknown} - A function that runs the provided function with deferred execution and returns the main function's return value
+ */
+export function withDeferSync(fn: (arg0: SyncDeferFunction, ...args: unknown[][]) => unknown, options?: DeferOptions): (...args: unknown[][]) => unknown;
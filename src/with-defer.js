@@ -3,43 +3,272 @@
  * @property {Error} err - The error object
  * @property {number} index - The index of the deferred function
  * @property {string} message - The error message
+ * @property {string|null} name - The name of the deferred function, from the `name` option or the callback
+ * @property {Labels|null} labels - The labels of the deferred function
+ * @property {number} attempt - The attempt that failed, starting at 1; 0 if the deferred function never started, e.g.
+ *   when it was skipped because the scope's `totalTimeout` ran out
+ * @property {number|null} startTime - When the deferred function started executing, from performance.now()
+ * @property {number|null} durationMs - Time since the deferred function started, in milliseconds
  */
 
 /**
  * @typedef {function(Error, ErrorContext): void} ErrorReporter
  */
 
+/**
+ * Key-value metadata identifying a deferred function in error messages and reports
+ * @typedef {Record<string, string|number|boolean>} Labels
+ */
+
 /**
  * @typedef {Object} DeferOptions
+ * @property {string} [name] - Name of the deferred function in error messages, reports and hooks; defaults to the callback's name (local options only)
+ * @property {Labels|null} [labels] - Labels shown next to the name in error messages and passed to errorReporter; merged with the scope's labels
  * @property {number|null} [timeout=null] - Timeout for deferred functions
+ * @property {number|null} [totalTimeout=null] - Budget in milliseconds for running all deferred functions of a scope (scope-level); timeouts are clamped to what is left, and deferred functions that have not started once it runs out are skipped
+ * @property {number|null} [slowThreshold=null] - Duration in milliseconds after which a still-running deferred function is reported as slow
  * @property {boolean} [debug=false] - Enable debug logging
  * @property {boolean} [throwOnError=false] - Throw error if any deferred function fails
  * @property {ErrorReporter|null} [errorReporter=null] - Function to report errors
+ * @property {number} [concurrency=1] - Maximum number of deferred functions running at once (scope-level); `Infinity` starts them all together
+ * @property {Array<string|PhaseDefinition>} [phases] - Cleanup phases in execution order (scope-level); unlisted, the "default" phase runs first
+ * @property {string} [phase="default"] - Phase the deferred function belongs to
+ * @property {RetryOptions|null} [retry=null] - Retry policy for failing deferred functions
+ * @property {boolean} [report=false] - Resolve with an ExecutionReport instead of the return value (scope-level; not
+ *   supported by generator functions and withDefer.handler)
+ * @property {DeferHooks|null} [hooks=null] - Callbacks notified of scope and deferred function lifecycle events (scope-level)
+ * @property {Tracer|null} [tracer=null] - OpenTelemetry-compatible tracer that records a span per scope run and per deferred function (scope-level)
+ * @property {boolean|LeakDetectionOptions} [leakDetection=false] - Report deferred functions that never settle and scopes collected before closing (scope-level)
+ */
+
+/**
+ * @typedef {Object} LeakDetectionOptions
+ * @property {number} [pendingThreshold=30000] - Duration in milliseconds after which a still-running deferred function is reported as a possible leak
+ * @property {boolean} [gc=true] - Report scopes that are garbage-collected while still holding unexecuted deferred functions
+ */
+
+/**
+ * @typedef {Object} LeakEvent
+ * @property {"pending"|"collected"} reason - Whether a deferred function never settled, or its scope was collected without closing
+ * @property {string[]} deferreds - Names of the leaked deferred functions
+ * @property {number|null} index - Position in execution order of a pending deferred function
+ * @property {number|null} elapsedMs - How long a pending deferred function has been running, in milliseconds
+ */
+
+/**
+ * The subset of an OpenTelemetry `Span` used for tracing
+ * @typedef {Object} Span
+ * @property {function(string, (string|number|boolean)): unknown} setAttribute - Sets a single attribute
+ * @property {function((Error|string)): void} recordException - Records an exception event
+ * @property {function({code: number, message?: string}): unknown} setStatus - Sets the span status
+ * @property {function(): void} end - Ends the span
+ */
+
+/**
+ * The subset of an OpenTelemetry `Tracer` used for tracing; spans are started as active so
+ * deferred function spans, and spans started inside callbacks, nest under their scope
+ * @typedef {Object} Tracer
+ * @property {function(string, {attributes?: Record<string, string|number|boolean>}, function(Span): any): any} startActiveSpan - Starts a span and makes it active while the callback runs
+ */
+
+/**
+ * @typedef {Object} DeferredEvent
+ * @property {string} name - The name of the deferred function
+ * @property {string} phase - The phase the deferred function belongs to
+ * @property {number|null} index - Position in execution order, or null while it is only registered
+ * @property {number|null} timeout - Timeout for the deferred function
+ */
+
+/**
+ * @typedef {Object} DeferredSettledEvent
+ * @property {string} name - The name of the deferred function
+ * @property {string} phase - The phase the deferred function belongs to
+ * @property {number|null} index - Position in execution order
+ * @property {number|null} timeout - Timeout for the deferred function
+ * @property {"fulfilled"|"rejected"|"timedOut"|"skipped"} status - How the deferred function settled
+ * @property {unknown} value - The value it returned, if fulfilled
+ * @property {unknown} error - The error it failed with, if rejected, timed out or skipped
+ * @property {number} durationMs - How long it ran, in milliseconds
+ */
+
+/**
+ * @typedef {Object} DeferredSlowEvent
+ * @property {string} name - The name of the deferred function
+ * @property {string} phase - The phase the deferred function belongs to
+ * @property {number|null} index - Position in execution order
+ * @property {number|null} timeout - Timeout for the deferred function
+ * @property {number} slowThreshold - The threshold it exceeded, in milliseconds
+ * @property {number} elapsedMs - How long it had been running when reported, in milliseconds
+ */
+
+/**
+ * @typedef {Object} ScopeEndEvent
+ * @property {DeferredOutcome[]} deferreds - Outcome of each executed deferred function, in execution order
+ * @property {number} durationMs - Time since the scope was created, in milliseconds
+ */
+
+/**
+ * Hooks are notifications: their return values are ignored and their errors never reach the scope
+ * @typedef {Object} DeferHooks
+ * @property {function(): void} [onScopeStart] - Called when a scope is created
+ * @property {function(DeferredEvent): void} [onDeferRegistered] - Called when defer() adds a deferred function
+ * @property {function(DeferredEvent): void} [onDeferStart] - Called when a deferred function starts executing
+ * @property {function(DeferredSettledEvent): void} [onDeferSettled] - Called when a deferred function fulfills, rejects, times out or is skipped by `totalTimeout`
+ * @property {function(DeferredEvent): void} [onDeferCancelled] - Called when a cancelled deferred function is skipped
+ * @property {function(DeferredSlowEvent): void} [onSlow] - Called when a deferred function exceeds its `slowThreshold`; replaces reporting through `errorReporter`
+ * @property {function(LeakEvent): void} [onLeak] - Called when leak detection finds a possible leak; replaces reporting through `errorReporter`
+ * @property {function(ScopeEndEvent): void} [onScopeEnd] - Called once all deferred functions of a scope have settled
+ */
+
+/**
+ * @typedef {Object} DeferredOutcome
+ * @property {string} name - The name of the deferred function
+ * @property {"fulfilled"|"rejected"|"cancelled"|"timedOut"|"skipped"} status - How the deferred function settled
+ * @property {unknown} value - The value it returned, if fulfilled
+ * @property {unknown} error - The error it failed with, if rejected, timed out or skipped
+ * @property {number} durationMs - How long it ran, in milliseconds
+ */
+
+/**
+ * @typedef {Object} ExecutionReport
+ * @property {unknown} value - The main function's return value, as left by the deferred functions
+ * @property {unknown} error - The main function's error, unless a deferred function recovered it
+ * @property {DeferredOutcome[]} deferreds - Outcome of each executed deferred function, in execution order
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [attempts=1] - Total number of attempts, including the first one
+ * @property {"fixed"|"exponential"} [backoff="fixed"] - How the delay grows between attempts
+ * @property {number} [delay=0] - Delay before the first retry, in milliseconds
+ * @property {number} [maxDelay=Infinity] - Upper bound for the delay between attempts
+ * @property {boolean} [jitter=false] - Randomize each delay between zero and its computed value
+ * @property {function(unknown, number): boolean} [shouldRetry] - Decides whether to retry after an error, given the error and attempt number
+ */
+
+/**
+ * @typedef {Object} PhaseDefinition
+ * @property {string} name - The name of the phase
+ * @property {"lifo"|"fifo"} [order="lifo"] - Execution order of the deferred functions within the phase
+ */
+
+/**
+ * @typedef {Object} CallbackContext
+ * @property {function(): unknown} recover - Returns the main function's in-flight error (or undefined) and marks it as handled
+ * @property {function(): unknown} getResult - Returns the pending return value of the main function
+ * @property {function(unknown): void} setResult - Replaces the value the wrapped function resolves with
+ * @property {AbortSignal} signal - Aborted when the deferred function times out or its scope is torn down
  */
 
 /**
- * @typedef {function(): (unknown|Promise<unknown>)} CallbackFunction
+ * @typedef {function(CallbackContext): (unknown|Promise<unknown>)} CallbackFunction
+ */
+
+/**
+ * @typedef {CallbackFunction|Disposable|AsyncDisposable} Deferrable
+ */
+
+/**
+ * @typedef {"pending"|"running"|"fulfilled"|"rejected"|"cancelled"|"timedOut"|"skipped"} DeferredStatus
  */
 
 /**
  * @typedef {Object} Deferred
  * @property {CallbackFunction} callback - The deferred callback function
  * @property {number|null} timeout - Timeout for the deferred function
+ * @property {Deadline|null} deadline - The scope's `totalTimeout` budget, once the scope runs its deferred functions
+ * @property {number|null} slowThreshold - Duration after which the deferred function is reported as slow
+ * @property {number|null} leakThreshold - Duration after which the deferred function is reported as a possible leak
+ * @property {{ledger: LeakLedger, entry: {name: string}}|null} leak - Where the deferred function is tracked for leak detection
+ * @property {RetryOptions|null} retry - Retry policy for the deferred function
  * @property {string} functionName - The name of the function
+ * @property {Labels|null} labels - Labels of the deferred function, merged with those of its scope
+ * @property {string} displayName - The name with its labels, as shown in error messages
+ * @property {string} phase - The phase the deferred function belongs to
+ * @property {DeferOptions} options - The local options it was registered with, including changes made with update()
+ * @property {number} order - Registration order in its scope, starting at 0
  * @property {boolean} isCancelled - Whether the deferred function has been cancelled
+ * @property {DeferredStatus} status - Execution status of the deferred function
+ * @property {unknown} value - The value the deferred function returned, once fulfilled
+ * @property {unknown} error - The error the deferred function failed with, once rejected or timed out
+ * @property {number|null} startTime - When execution started, from performance.now()
+ * @property {number|null} endTime - When execution settled, from performance.now()
  * @property {function(unknown): void} resolve - Function to resolve the deferred promise
+ * @property {Promise<unknown>} promise - Promise that resolves when the deferred function completes
+ * @property {function(Deferred): unknown} runNow - Executes the deferred function early in its owning scope
  * @property {ErrorReporter|null} errorReporter - Per-deferred error reporter function
+ * @property {DeferHooks|null} hooks - Lifecycle hooks of the owning scope
+ * @property {Tracer|null} tracer - Tracer of the owning scope
+ * @property {number|null} index - Position in execution order, once the deferred function starts
+ * @property {number} attempt - The attempt currently executing, starting at 1
  * @property {boolean} debug - Whether debug logging is enabled for this deferred
  */
 
 /**
- * @typedef {Object} DeferredResult
+ * Shared by all deferred functions of a scope with `totalTimeout`
+ * @typedef {Object} Deadline
+ * @property {number} at - When the budget runs out, from performance.now()
+ * @property {boolean} exceeded - Set once a deferred function timed out on the budget, as timers may fire slightly early
+ */
+
+/**
+ * @typedef {Object} DeferredResultProperties
  * @property {function(): void} cancel - Function to cancel the deferred execution
+ * @property {function(): void} restore - Undoes cancel(), as long as the deferred function has not started
+ * @property {function(DeferOptions): void} update - Changes timeout, slowThreshold, retry, errorReporter or debug before the deferred function starts
+ * @property {DeferredStatus} status - Execution status of the deferred function; "cancelled" as soon as it is cancelled
  * @property {Promise<unknown>} promise - Promise that resolves when the deferred function completes
+ * @property {number|null} startTime - When the deferred function started executing, from performance.now()
+ * @property {number|null} endTime - When the deferred function settled, from performance.now()
+ * @property {number|null} durationMs - How long the deferred function ran, once settled
+ */
+
+/**
+ * Disposing the handle executes the deferred function early and removes it from the queue, like runNow()
+ * @typedef {DeferredResultProperties & {runNow: function(): Promise<unknown>} & AsyncDisposable} DeferredResult
+ */
+
+/**
+ * A read-only view of a deferred function that is still queued in its scope
+ * @typedef {Object} PendingDeferred
+ * @property {string} name - The name of the deferred function
+ * @property {Labels|null} labels - Labels of the deferred function, merged with those of its scope
+ * @property {string} phase - The phase the deferred function belongs to
+ * @property {DeferOptions} options - The local options it was registered with, including changes made with update()
+ * @property {number} order - Registration order in the scope, starting at 0
+ * @property {boolean} cancelled - Whether the deferred function has been cancelled
  */
 
 /**
- * @typedef {function(CallbackFunction, DeferOptions=): DeferredResult} DeferFunction
+ * @typedef {Object} DeferQueueMethods
+ * @property {function(): PendingDeferred[]} pending - Returns a snapshot of the queued deferred functions, in execution order
+ * @property {number} size - Number of queued deferred functions, including cancelled ones
+ */
+
+/**
+ * @typedef {Object} DeferFunctionMethods
+ * @property {function(): DeferScope} move - Moves all pending deferred functions out of the scope into a new DeferScope
+ */
+
+/**
+ * @typedef {function(Deferrable, DeferOptions=): DeferredResult} DeferCallable
+ */
+
+/**
+ * @typedef {DeferCallable & DeferFunctionMethods & DeferQueueMethods} DeferFunction
+ */
+
+/**
+ * Disposing the handle executes the deferred function early and removes it from the queue, like runNow()
+ * @typedef {DeferredResultProperties & {runNow: function(): unknown} & Disposable} SyncDeferredResult
+ */
+
+/**
+ * @typedef {function(Deferrable, DeferOptions=): SyncDeferredResult} SyncDeferCallable
+ */
+
+/**
+ * @typedef {SyncDeferCallable & DeferQueueMethods} SyncDeferFunction
  */
 
 /**
@@ -48,6 +277,19 @@
  * @property {function(function(): (unknown|Promise<unknown>)): Promise<unknown>} run - Function to run the main function and deferred functions
  */
 
+/**
+ * Well-known disposal symbol, falling back to the registry key used by
+ * transpilers and polyfills on runtimes without Explicit Resource Management
+ * @type {typeof Symbol.asyncDispose}
+ */
+const asyncDisposeSymbol = /** @type {typeof Symbol.asyncDispose} */ (
+	Symbol.asyncDispose ?? Symbol.for("Symbol.asyncDispose")
+);
+/** @type {typeof Symbol.dispose} */
+const disposeSymbol = /** @type {typeof Symbol.dispose} */ (
+	Symbol.dispose ?? Symbol.for("Symbol.dispose")
+);
+
 /**
  * Validates that a value is an object or null
  * @param {unknown} value - Value to validate
@@ -90,6 +332,39 @@ class Deque {
 		this.length++;
 	}
 
+	append(item) {
+		const node = { value: item, next: null };
+		if (this.tail) {
+			this.tail.next = node;
+		} else {
+			this.head = node;
+		}
+		this.tail = node;
+		this.length++;
+	}
+
+	remove(item) {
+		let previous = null;
+		let current = this.head;
+		while (current) {
+			if (current.value === item) {
+				if (previous) {
+					previous.next = current.next;
+				} else {
+					this.head = current.next;
+				}
+				if (this.tail === current) {
+					this.tail = previous;
+				}
+				this.length--;
+				return true;
+			}
+			previous = current;
+			current = current.next;
+		}
+		return false;
+	}
+
 	*[Symbol.iterator]() {
 		let current = this.head;
 		while (current) {
@@ -108,11 +383,50 @@ class Deque {
 	}
 }
 
+/**
+ * Turns a deferrable value into a callback, calling dispose methods for resources
+ * @param {unknown} value - A callback function or an (async) disposable resource
+ * @returns {{callback: CallbackFunction, functionName: string}|null} - Null if the value cannot be deferred
+ */
+function toCallback(value) {
+	if (typeof value === "function") {
+		return {
+			callback: /** @type {CallbackFunction} */ (value),
+			functionName: value.name || "anonymous",
+		};
+	}
+	if (value === null || typeof value !== "object") {
+		return null;
+	}
+	// Like `await using`, prefer async disposal and capture the method at registration
+	const dispose = value[asyncDisposeSymbol] ?? value[disposeSymbol];
+	if (typeof dispose !== "function") {
+		return null;
+	}
+	const constructorName = value.constructor?.name;
+	return {
+		callback: () => dispose.call(value),
+		functionName:
+			constructorName && constructorName !== "Object"
+				? constructorName
+				: "anonymous",
+	};
+}
+
 /**
  * Validates options object properties
  * @param {DeferOptions} options - Options to validate
  */
 function validateDeferOptions(options) {
+	if (
+		options.name !== undefined &&
+		(typeof options.name !== "string" || options.name === "")
+	) {
+		throw new TypeError("name must be a non-empty string");
+	}
+
+	validateLabels(options.labels);
+
 	if (
 		options.timeout !== null &&
 		options.timeout !== undefined &&
@@ -121,6 +435,20 @@ function validateDeferOptions(options) {
 		throw new TypeError("timeout must be a finite number or null");
 	}
 
+	if (
+		options.slowThreshold !== null &&
+		options.slowThreshold !== undefined &&
+		!(
+			typeof options.slowThreshold === "number" &&
+			Number.isFinite(options.slowThreshold) &&
+			options.slowThreshold >= 0
+		)
+	) {
+		throw new TypeError(
+			"slowThreshold must be a non-negative finite number or null",
+		);
+	}
+
 	validateBoolean(options.debug, "debug");
 	validateBoolean(options.throwOnError, "throwOnError");
 
@@ -131,6 +459,243 @@ function validateDeferOptions(options) {
 	) {
 		throw new TypeError("errorReporter must be a function or null");
 	}
+
+	if (options.phase !== undefined && typeof options.phase !== "string") {
+		throw new TypeError("phase must be a string");
+	}
+
+	if (options.retry !== null && options.retry !== undefined) {
+		validateRetryOptions(options.retry);
+	}
+}
+
+/**
+ * Validates the labels of a deferred function or scope
+ * @param {Labels|null|undefined} labels - Labels to validate
+ */
+function validateLabels(labels) {
+	if (labels === null || labels === undefined) {
+		return;
+	}
+	validateOptionsObject(labels, "labels");
+	for (const [key, value] of Object.entries(labels)) {
+		if (!["string", "number", "boolean"].includes(typeof value)) {
+			throw new TypeError(`labels.${key} must be a string, number or boolean`);
+		}
+	}
+}
+
+/**
+ * Validates a retry policy
+ * @param {RetryOptions} retry - Retry policy to validate
+ */
+function validateRetryOptions(retry) {
+	validateOptionsObject(retry, "retry");
+	const { attempts, backoff, delay, maxDelay, jitter, shouldRetry } = retry;
+
+	if (
+		attempts !== undefined &&
+		!(Number.isInteger(attempts) && attempts >= 1)
+	) {
+		throw new TypeError("retry.attempts must be a positive integer");
+	}
+	if (
+		backoff !== undefined &&
+		backoff !== "fixed" &&
+		backoff !== "exponential"
+	) {
+		throw new TypeError('retry.backoff must be "fixed" or "exponential"');
+	}
+	for (const [name, value] of [
+		["delay", delay],
+		["maxDelay", maxDelay],
+	]) {
+		if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+			throw new TypeError(`retry.${name} must be a non-negative number`);
+		}
+	}
+	validateBoolean(jitter, "retry.jitter");
+	if (shouldRetry !== undefined && typeof shouldRetry !== "function") {
+		throw new TypeError("retry.shouldRetry must be a function");
+	}
+}
+
+/**
+ * Name of the phase for deferred functions registered without one
+ */
+const DEFAULT_PHASE = "default";
+
+/**
+ * Validates the phases option and normalizes it into phase definitions
+ * @param {Array<string|PhaseDefinition>|undefined} phases - Phases in execution order
+ * @returns {Required<PhaseDefinition>[]} - Normalized phases, including the default phase
+ */
+function normalizePhases(phases = []) {
+	if (!Array.isArray(phases)) {
+		throw new TypeError("phases must be an array");
+	}
+
+	const normalized = phases.map((phase) => {
+		const { name, order = "lifo" } =
+			typeof phase === "string" ? { name: phase } : (phase ?? {});
+		if (typeof name !== "string" || name === "") {
+			throw new TypeError("phase name must be a non-empty string");
+		}
+		if (order !== "lifo" && order !== "fifo") {
+			throw new TypeError('phase order must be "lifo" or "fifo"');
+		}
+		return { name, order };
+	});
+
+	const names = normalized.map(({ name }) => name);
+	if (new Set(names).size !== names.length) {
+		throw new TypeError("phase names must be unique");
+	}
+	if (!names.includes(DEFAULT_PHASE)) {
+		normalized.unshift({ name: DEFAULT_PHASE, order: "lifo" });
+	}
+	return normalized;
+}
+
+/**
+ * Validates options that only apply to a whole scope
+ * @param {DeferOptions} options - Options to validate
+ */
+function validateScopeOptions(options) {
+	const { concurrency } = options;
+	if (
+		concurrency !== undefined &&
+		concurrency !== Number.POSITIVE_INFINITY &&
+		!(Number.isInteger(concurrency) && concurrency >= 1)
+	) {
+		throw new TypeError("concurrency must be a positive integer or Infinity");
+	}
+	normalizePhases(options.phases);
+	validateBoolean(options.report, "report");
+	// Merged into the labels of every deferred function, so also checked when local labels replace them
+	validateLabels(options.labels);
+
+	if (
+		options.totalTimeout !== null &&
+		options.totalTimeout !== undefined &&
+		!(
+			typeof options.totalTimeout === "number" &&
+			Number.isFinite(options.totalTimeout) &&
+			options.totalTimeout > 0
+		)
+	) {
+		throw new TypeError(
+			"totalTimeout must be a positive finite number or null",
+		);
+	}
+
+	if (options.hooks !== null && options.hooks !== undefined) {
+		validateOptionsObject(options.hooks, "hooks");
+		for (const name of HOOK_NAMES) {
+			const hook = options.hooks[name];
+			if (hook !== undefined && typeof hook !== "function") {
+				throw new TypeError(`hooks.${name} must be a function`);
+			}
+		}
+	}
+
+	if (
+		options.tracer !== null &&
+		options.tracer !== undefined &&
+		typeof options.tracer?.startActiveSpan !== "function"
+	) {
+		throw new TypeError("tracer must implement startActiveSpan()");
+	}
+
+	normalizeLeakDetection(options.leakDetection);
+}
+
+/**
+ * Validates the leakDetection option and fills in its defaults
+ * @param {boolean|LeakDetectionOptions|null|undefined} leakDetection - The option to normalize
+ * @returns {Required<LeakDetectionOptions>|null} - Null when leak detection is off
+ */
+function normalizeLeakDetection(leakDetection) {
+	if (
+		leakDetection === null ||
+		leakDetection === undefined ||
+		leakDetection === false
+	) {
+		return null;
+	}
+	if (leakDetection === true) {
+		return { pendingThreshold: 30000, gc: true };
+	}
+	if (typeof leakDetection !== "object") {
+		throw new TypeError("leakDetection must be a boolean or an object");
+	}
+	const { pendingThreshold = 30000, gc = true } = leakDetection;
+	if (
+		!(
+			typeof pendingThreshold === "number" &&
+			Number.isFinite(pendingThreshold) &&
+			pendingThreshold > 0
+		)
+	) {
+		throw new TypeError(
+			"leakDetection.pendingThreshold must be a positive finite number",
+		);
+	}
+	validateBoolean(gc, "leakDetection.gc");
+	return { pendingThreshold, gc };
+}
+
+/**
+ * Names of the supported lifecycle hooks
+ */
+const HOOK_NAMES = [
+	"onScopeStart",
+	"onDeferRegistered",
+	"onDeferStart",
+	"onDeferSettled",
+	"onDeferCancelled",
+	"onSlow",
+	"onLeak",
+	"onScopeEnd",
+];
+
+/**
+ * Calls a lifecycle hook, isolating the scope from anything it throws or rejects with
+ * @param {DeferHooks|null|undefined} hooks - The hooks of the scope
+ * @param {keyof DeferHooks} name - The hook to call
+ * @param {unknown} event - The event passed to the hook
+ * @param {boolean} debug - Whether debug logging is enabled
+ */
+function callHook(hooks, name, event, debug) {
+	const hook = /** @type {function(unknown): unknown} */ (hooks?.[name]);
+	if (!hook) {
+		return;
+	}
+	const logHookError = (hookErr) => {
+		if (debug) {
+			console.error(
+				`Error in ${name} hook:`,
+				hookErr instanceof Error ? hookErr.message : String(hookErr),
+			);
+		}
+	};
+	try {
+		const result = hook(event);
+		if (isThenable(result)) {
+			result.then(undefined, logHookError);
+		}
+	} catch (hookErr) {
+		logHookError(hookErr);
+	}
+}
+
+/**
+ * Describes a deferred function for lifecycle hooks
+ * @param {Deferred} deferred - The deferred function object
+ * @returns {DeferredEvent}
+ */
+function toDeferredEvent({ functionName, phase, index, timeout }) {
+	return { name: functionName, phase, index, timeout };
 }
 
 /**
@@ -142,22 +707,47 @@ function validateDeferOptions(options) {
  * @returns {string} - Formatted error message
  */
 function createErrorMessage(deferQueue, index, prefix, suffix = "") {
-	let deferred;
+	const { displayName } = findDeferred(deferQueue, index) ?? {
+		displayName: "unknown",
+	};
+	const suffixPart = suffix ? `: ${suffix}` : "";
+	return `${prefix} in deferred function ${index} (${displayName})${suffixPart}`;
+}
+
+/**
+ * Looks up a deferred function by its index in a queue
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions
+ * @param {number} index - The index of the deferred function
+ * @returns {Deferred|undefined}
+ */
+function findDeferred(deferQueue, index) {
 	if (Array.isArray(deferQueue)) {
-		deferred = deferQueue[index];
-	} else {
-		let currentIndex = 0;
-		for (const item of deferQueue) {
-			if (currentIndex === index) {
-				deferred = item;
-				break;
-			}
-			currentIndex++;
+		return deferQueue[index];
+	}
+	let currentIndex = 0;
+	for (const item of deferQueue) {
+		if (currentIndex === index) {
+			return item;
 		}
+		currentIndex++;
 	}
-	const { functionName } = deferred || { functionName: "unknown" };
-	const suffixPart = suffix ? `: ${suffix}` : "";
-	return `${prefix} in deferred function ${index} (${functionName})${suffixPart}`;
+	return undefined;
+}
+
+/**
+ * Formats the name of a deferred function with its labels, e.g. `release-lock(orderId=123)`
+ * @param {string} name - The name of the deferred function
+ * @param {Labels|null} labels - Its labels
+ * @returns {string}
+ */
+function formatDisplayName(name, labels) {
+	if (!labels || Object.keys(labels).length === 0) {
+		return name;
+	}
+	const formatted = Object.entries(labels)
+		.map(([key, value]) => `${key}=${value}`)
+		.join(", ");
+	return `${name}(${formatted})`;
 }
 
 /**
@@ -165,11 +755,22 @@ function createErrorMessage(deferQueue, index, prefix, suffix = "") {
  * @param {Error} err - The error object
  * @param {number} index - The index of the deferred function
  * @param {string} action - The action that caused the error
- * @param {Deque} deferQueue - The queue of deferred functions
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions
  * @param {ErrorReporter|null} errorReporter - Error reporter callback
  * @param {boolean} debug - Whether debug logging is enabled
+ * @param {number} [attempt=1] - The attempt that failed
+ * @param {number|null} [startTime=null] - When the deferred function started executing
  */
-function reportError(err, index, action, deferQueue, errorReporter, debug) {
+function reportError(
+	err,
+	index,
+	action,
+	deferQueue,
+	errorReporter,
+	debug,
+	attempt = 1,
+	startTime = null,
+) {
 	const message = createErrorMessage(
 		deferQueue,
 		index,
@@ -179,9 +780,35 @@ function reportError(err, index, action, deferQueue, errorReporter, debug) {
 	if (debug) {
 		console.error(message, err);
 	}
+	const deferred = findDeferred(deferQueue, index);
+	callErrorReporter(
+		errorReporter,
+		err,
+		{
+			err,
+			index,
+			message,
+			name: deferred?.functionName ?? null,
+			labels: deferred?.labels ?? null,
+			attempt,
+			startTime,
+			durationMs: startTime === null ? null : performance.now() - startTime,
+		},
+		debug,
+	);
+}
+
+/**
+ * Calls an error reporter, isolating the scope from anything it throws
+ * @param {ErrorReporter|null} errorReporter - Error reporter callback
+ * @param {Error} err - The error to report
+ * @param {ErrorContext} context - The context passed to the reporter
+ * @param {boolean} debug - Whether debug logging is enabled
+ */
+function callErrorReporter(errorReporter, err, context, debug) {
 	if (errorReporter) {
 		try {
-			errorReporter(err, { err, index, message });
+			errorReporter(err, context);
 		} catch (reporterErr) {
 			if (debug) {
 				console.error(
@@ -196,229 +823,2118 @@ function reportError(err, index, action, deferQueue, errorReporter, debug) {
 }
 
 /**
- * Handles the execution of a single deferred function
+ * Reports a deferred function that exceeded its slow threshold, without failing it
  * @param {Deferred} deferred - The deferred function object
- * @param {number} index - The index of the deferred function in the queue
- * @param {Deque} deferQueue - The queue of deferred functions for error messaging
- * @returns {Promise<unknown>}
+ * @param {number} index - The index of the deferred function in execution order
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions for messaging
+ * @param {number} elapsedMs - How long the deferred function has been running
  */
-async function handleDeferred(
-	{ callback, timeout, isCancelled, resolve, errorReporter, debug },
-	index,
-	deferQueue,
-) {
-	if (isCancelled) {
-		const result = "deferred function was cancelled";
-		resolve(result);
-		return result;
-	}
+function reportSlow(deferred, index, deferQueue, elapsedMs) {
+	const { slowThreshold, hooks, errorReporter, debug } = deferred;
+	const message = createErrorMessage(
+		deferQueue,
+		index,
+		"slow execution",
+		`running for ${Math.round(elapsedMs)}ms, exceeding slowThreshold of ${slowThreshold}ms`,
+	);
+	reportWarning(
+		"onSlow",
+		{ ...toDeferredEvent(deferred), slowThreshold, elapsedMs },
+		message,
+		{ hooks, errorReporter, debug },
+		{
+			index,
+			name: deferred.functionName,
+			labels: deferred.labels,
+			attempt: deferred.attempt,
+			startTime: deferred.startTime,
+			durationMs: elapsedMs,
+		},
+	);
+}
 
-	let timeoutId;
-	try {
-		// Only create timeout promise if timeout is a positive number
-		const promises = [callback()];
-		if (timeout && timeout > 0) {
-			promises.push(
-				new Promise((_, reject) => {
-					timeoutId = setTimeout(
-						() => reject(new Error("timeout exceeded")),
-						timeout,
+/**
+ * Reports a deferred function that is still running after its leak threshold, without failing it
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in execution order
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions for messaging
+ * @param {number} elapsedMs - How long the deferred function has been running
+ */
+function reportPendingLeak(deferred, index, deferQueue, elapsedMs) {
+	const { functionName, hooks, errorReporter, debug } = deferred;
+	const message = createErrorMessage(
+		deferQueue,
+		index,
+		"possible leak",
+		`still pending after ${Math.round(elapsedMs)}ms`,
+	);
+	reportWarning(
+		"onLeak",
+		{ reason: "pending", deferreds: [functionName], index, elapsedMs },
+		message,
+		{ hooks, errorReporter, debug },
+		{
+			index,
+			name: deferred.functionName,
+			labels: deferred.labels,
+			attempt: deferred.attempt,
+			startTime: deferred.startTime,
+			durationMs: elapsedMs,
+		},
+	);
+}
+
+/**
+ * Reports a diagnostic that does not fail anything: through its hook if the scope has one, otherwise to errorReporter
+ * @param {"onSlow"|"onLeak"} hookName - The hook that receives the event
+ * @param {DeferredSlowEvent|LeakEvent} event - The event passed to the hook
+ * @param {string} message - The message for debug logs and errorReporter
+ * @param {{hooks: DeferHooks|null, errorReporter: ErrorReporter|null, debug: boolean}} reporters - Where to report to
+ * @param {Omit<ErrorContext, "err"|"message">} context - The context passed to errorReporter
+ */
+function reportWarning(
+	hookName,
+	event,
+	message,
+	{ hooks, errorReporter, debug },
+	context,
+) {
+	if (debug) {
+		console.warn(message);
+	}
+	if (hooks?.[hookName]) {
+		callHook(hooks, hookName, event, debug);
+		return;
+	}
+	const err = new Error(message);
+	callErrorReporter(errorReporter, err, { err, message, ...context }, debug);
+}
+
+/**
+ * What a scope with leak detection leaves behind to report itself with once it has been collected.
+ * It must not reference the scope, or the scope could never be collected.
+ * @typedef {Object} LeakLedger
+ * @property {Set<{name: string}>} pending - One entry per unexecuted deferred function
+ * @property {DeferHooks|null} hooks - Lifecycle hooks of the scope
+ * @property {ErrorReporter|null} errorReporter - Error reporter of the scope
+ * @property {boolean} debug - Whether debug logging is enabled
+ */
+
+/**
+ * Records a deferred function as unexecuted in a scope's leak ledger
+ * @param {LeakLedger|null} ledger - The ledger of the scope, if it has leak detection
+ * @param {Deferred} deferred - The registered deferred function
+ */
+function trackLeak(ledger, deferred) {
+	if (ledger) {
+		const entry = { name: deferred.functionName };
+		ledger.pending.add(entry);
+		deferred.leak = { ledger, entry };
+	}
+}
+
+/**
+ * Stops tracking a deferred function that has executed, was cancelled or left its scope.
+ * The ledger stays on the deferred function, so restore() can track it again.
+ * @param {Deferred} deferred - The deferred function
+ */
+function untrackLeak(deferred) {
+	deferred.leak?.ledger.pending.delete(deferred.leak.entry);
+}
+
+/**
+ * Reports scopes that were garbage-collected while still holding unexecuted deferred functions
+ */
+const scopeRegistry =
+	typeof FinalizationRegistry === "function"
+		? new FinalizationRegistry(
+				/** @param {LeakLedger} ledger */
+				(ledger) => {
+					if (ledger.pending.size === 0) {
+						return;
+					}
+					const names = [...ledger.pending].map(({ name }) => name);
+					reportWarning(
+						"onLeak",
+						{
+							reason: "collected",
+							deferreds: names,
+							index: null,
+							elapsedMs: null,
+						},
+						`possible leak: defer scope was garbage-collected with ${names.length} unexecuted deferred functions (${names.join(", ")})`,
+						ledger,
+						{
+							index: -1,
+							name: null,
+							labels: null,
+							attempt: 0,
+							startTime: null,
+							durationMs: null,
+						},
 					);
+				},
+			)
+		: null;
+
+/**
+ * Computes how long to wait before retrying a deferred function
+ * @param {RetryOptions} retry - The retry policy
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(
+	{
+		backoff = "fixed",
+		delay = 0,
+		maxDelay = Number.POSITIVE_INFINITY,
+		jitter = false,
+	},
+	attempt,
+) {
+	const base = backoff === "exponential" ? delay * 2 ** (attempt - 1) : delay;
+	const capped = Math.min(base, maxDelay);
+	return jitter ? Math.random() * capped : capped;
+}
+
+/**
+ * Runs a single attempt of a deferred callback, racing it against its timeout
+ * @param {CallbackFunction} callback - The deferred callback function
+ * @param {number|null} timeout - Timeout for the attempt
+ * @param {CallbackContext} context - The context passed to the callback
+ * @param {AbortController} controller - Controller of the signal in the context
+ * @param {Error} timeoutError - Error to reject with when the timeout fires
+ * @returns {Promise<unknown>}
+ */
+async function runAttempt(
+	callback,
+	timeout,
+	context,
+	controller,
+	timeoutError,
+) {
+	let timeoutId;
+	try {
+		// Only create timeout promise if timeout is a positive number
+		const promises = [callback(context)];
+		if (timeout && timeout > 0) {
+			promises.push(
+				new Promise((_, reject) => {
+					timeoutId = setTimeout(() => {
+						// Reject before aborting so a callback that settles on abort cannot win the race
+						reject(timeoutError);
+						controller.abort(timeoutError);
+					}, timeout);
 				}),
 			);
 		}
 
-		const result = await Promise.race(promises);
-		// Clear timeout if it was created and callback completed first
-		if (timeoutId !== undefined) {
-			clearTimeout(timeoutId);
+		return await Promise.race(promises);
+	} finally {
+		// Clear timeout if it was created, whether the callback completed or threw
+		if (timeoutId !== undefined) {
+			clearTimeout(timeoutId);
+		}
+	}
+}
+
+/**
+ * OpenTelemetry's `SpanStatusCode.ERROR`, inlined so the library needs no dependency on the API package
+ */
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Marks a span as failed with the given error
+ * @param {Span} span - The span to update
+ * @param {unknown} err - The error to record
+ */
+function recordSpanError(span, err) {
+	span.recordException(err instanceof Error ? err : String(err));
+	span.setStatus({
+		code: SPAN_STATUS_ERROR,
+		message: err instanceof Error ? err.message : String(err),
+	});
+}
+
+/**
+ * Runs a function inside an active span of the given tracer, ending the span once the
+ * function's result (or the promise it returns) settles
+ * @template T
+ * @param {Tracer|null} tracer - The tracer, or null to run the function untraced
+ * @param {string} name - The name of the span
+ * @param {Record<string, string|number|boolean>} attributes - Attributes set when the span starts
+ * @param {function(Span|null): T} fn - The function to run, given the span
+ * @returns {T}
+ */
+function withSpan(tracer, name, attributes, fn) {
+	if (!tracer) {
+		return fn(null);
+	}
+	return tracer.startActiveSpan(name, { attributes }, (span) => {
+		let result;
+		try {
+			result = fn(span);
+		} catch (err) {
+			recordSpanError(span, err);
+			span.end();
+			throw err;
+		}
+		if (!isThenable(result)) {
+			span.end();
+			return result;
+		}
+		return Promise.resolve(result).then(
+			(value) => {
+				span.end();
+				return value;
+			},
+			(err) => {
+				recordSpanError(span, err);
+				span.end();
+				throw err;
+			},
+		);
+	});
+}
+
+/**
+ * Runs a deferred function inside its own span, recording how it settled
+ * @template T
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in execution order
+ * @param {function(Span|null): T} execute - Executes the deferred function, given its span
+ * @returns {T}
+ */
+function traceDeferred(deferred, index, execute) {
+	/** @type {Record<string, string|number|boolean>} */
+	const attributes = {
+		"defer.index": index,
+		"defer.phase": deferred.phase,
+		"defer.cancelled": deferred.isCancelled,
+		"defer.attempt": 1,
+	};
+	if (deferred.timeout !== null) {
+		attributes["defer.timeout"] = deferred.timeout;
+	}
+	return withSpan(
+		deferred.tracer,
+		deferred.functionName,
+		attributes,
+		(span) => {
+			const result = execute(span);
+			if (!span) {
+				return result;
+			}
+			const recordOutcome = () => {
+				if (deferred.status === "timedOut") {
+					span.setAttribute("defer.timed_out", true);
+				}
+				if (deferred.status === "skipped") {
+					span.setAttribute("defer.skipped", true);
+				}
+				if (
+					deferred.status === "rejected" ||
+					deferred.status === "timedOut" ||
+					deferred.status === "skipped"
+				) {
+					recordSpanError(span, deferred.error);
+				}
+			};
+			if (isThenable(result)) {
+				return /** @type {T} */ (
+					Promise.resolve(result).then((value) => {
+						recordOutcome();
+						return value;
+					})
+				);
+			}
+			recordOutcome();
+			return result;
+		},
+	);
+}
+
+/**
+ * Marks a deferred function as started
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in execution order
+ */
+function startDeferred(deferred, index) {
+	deferred.status = "running";
+	deferred.index = index;
+	deferred.startTime = performance.now();
+	if (!deferred.isCancelled) {
+		callHook(
+			deferred.hooks,
+			"onDeferStart",
+			toDeferredEvent(deferred),
+			deferred.debug,
+		);
+	}
+}
+
+/**
+ * Records how a deferred function settled
+ * @param {Deferred} deferred - The deferred function object
+ * @param {"fulfilled"|"rejected"|"cancelled"|"timedOut"|"skipped"} status - How the deferred function settled
+ * @param {unknown} [value] - The value it returned
+ * @param {unknown} [error] - The error it failed with
+ */
+function settleDeferred(deferred, status, value, error) {
+	deferred.status = status;
+	deferred.value = value;
+	deferred.error = error;
+	deferred.endTime = performance.now();
+	if (status === "cancelled") {
+		callHook(
+			deferred.hooks,
+			"onDeferCancelled",
+			toDeferredEvent(deferred),
+			deferred.debug,
+		);
+		return;
+	}
+	callHook(
+		deferred.hooks,
+		"onDeferSettled",
+		{
+			...toDeferredEvent(deferred),
+			status,
+			value,
+			error,
+			durationMs: deferred.endTime - (deferred.startTime ?? deferred.endTime),
+		},
+		deferred.debug,
+	);
+}
+
+/**
+ * Handles the execution of a single deferred function, tracing it if its scope has a tracer
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in the queue
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions for error messaging
+ * @param {Omit<CallbackContext, "signal">} context - The scope context passed to the deferred callback
+ * @param {AbortController[]} controllers - Receives the controller created for each attempt
+ * @returns {Promise<unknown>}
+ */
+function handleDeferred(deferred, index, deferQueue, context, controllers) {
+	return traceDeferred(deferred, index, async (span) => {
+		// Report slow and stuck deferreds while they still run, so hung cleanup shows up before its timeout
+		const elapsed = () => performance.now() - (deferred.startTime ?? 0);
+		const timers = [];
+		if (!deferred.isCancelled) {
+			const { slowThreshold, leakThreshold } = deferred;
+			if (slowThreshold !== null) {
+				timers.push(
+					setTimeout(
+						() => reportSlow(deferred, index, deferQueue, elapsed()),
+						slowThreshold,
+					),
+				);
+			}
+			if (leakThreshold !== null) {
+				timers.push(
+					setTimeout(
+						() => reportPendingLeak(deferred, index, deferQueue, elapsed()),
+						leakThreshold,
+					),
+				);
+			}
+		}
+		try {
+			return await executeDeferred(
+				deferred,
+				index,
+				deferQueue,
+				context,
+				controllers,
+				span,
+			);
+		} finally {
+			for (const timer of timers) {
+				clearTimeout(timer);
+			}
+		}
+	});
+}
+
+/**
+ * Executes a single deferred function, retrying it if its policy allows
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in the queue
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions for error messaging
+ * @param {Omit<CallbackContext, "signal">} context - The scope context passed to the deferred callback
+ * @param {AbortController[]} controllers - Receives the controller created for each attempt
+ * @param {Span|null} span - The span of the deferred function, if it is traced
+ * @returns {Promise<unknown>}
+ */
+async function executeDeferred(
+	deferred,
+	index,
+	deferQueue,
+	context,
+	controllers,
+	span,
+) {
+	const {
+		callback,
+		timeout,
+		deadline,
+		retry,
+		isCancelled,
+		resolve,
+		errorReporter,
+		debug,
+	} = deferred;
+	if (!isCancelled && deadline && isDeadlineExceeded(deadline)) {
+		return skipDeferred(deferred, index, deferQueue);
+	}
+	startDeferred(deferred, index);
+	if (isCancelled) {
+		const result = "deferred function was cancelled";
+		settleDeferred(deferred, "cancelled");
+		resolve(result);
+		return result;
+	}
+
+	const attempts = retry?.attempts ?? 1;
+	for (let attempt = 1; ; attempt++) {
+		deferred.attempt = attempt;
+		span?.setAttribute("defer.attempt", attempt);
+		const controller = new AbortController();
+		controllers.push(controller);
+		// Clamp the timeout to what is left of the scope's totalTimeout
+		const remaining =
+			deadline === null ? null : Math.max(deadline.at - performance.now(), 1);
+		const clamped =
+			remaining !== null && !(timeout && timeout > 0 && timeout <= remaining);
+		const timeoutError = new Error(
+			clamped ? "deadline exceeded" : "timeout exceeded",
+		);
+		try {
+			const result = await runAttempt(
+				callback,
+				clamped ? remaining : timeout,
+				{ ...context, signal: controller.signal },
+				controller,
+				timeoutError,
+			);
+			settleDeferred(deferred, "fulfilled", result);
+			resolve(result);
+			return result;
+		} catch (err) {
+			const action = err === timeoutError ? "timed out" : "failed to execute";
+			if (err === timeoutError && clamped && deadline) {
+				deadline.exceeded = true;
+			}
+			reportError(
+				err,
+				index,
+				attempts > 1
+					? `${action} on attempt ${attempt} of ${attempts}`
+					: action,
+				deferQueue,
+				errorReporter,
+				debug,
+				attempt,
+				deferred.startTime,
+			);
+			const delay = attempt < attempts ? getRetryDelay(retry, attempt) : 0;
+			if (
+				attempt >= attempts ||
+				(deadline && isDeadlineExceeded(deadline, delay)) ||
+				!shouldRetryAfter(retry, err, attempt, debug)
+			) {
+				settleDeferred(
+					deferred,
+					err === timeoutError ? "timedOut" : "rejected",
+					undefined,
+					err,
+				);
+				resolve(err);
+				return err;
+			}
+			await new Promise((resolveDelay) => setTimeout(resolveDelay, delay));
+		}
+	}
+}
+
+/**
+ * Checks whether a scope's totalTimeout has run out
+ * @param {Deadline} deadline - The scope's budget
+ * @param {number} [delay=0] - Time that would pass before the next step, in milliseconds
+ * @returns {boolean}
+ */
+function isDeadlineExceeded(deadline, delay = 0) {
+	return deadline.exceeded || performance.now() + delay >= deadline.at;
+}
+
+/**
+ * Skips a deferred function that was due to start after its scope's totalTimeout ran out
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in the queue
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions for error messaging
+ * @returns {Error} - The error the deferred function is settled with
+ */
+function skipDeferred(deferred, index, deferQueue) {
+	const err = new Error("deadline exceeded");
+	deferred.index = index;
+	reportError(
+		err,
+		index,
+		"skipped",
+		deferQueue,
+		deferred.errorReporter,
+		deferred.debug,
+		0,
+	);
+	settleDeferred(deferred, "skipped", undefined, err);
+	deferred.resolve(err);
+	return err;
+}
+
+/**
+ * Asks a retry policy's predicate whether a failed attempt should be retried
+ * @param {RetryOptions} retry - The retry policy
+ * @param {unknown} err - The error of the failed attempt
+ * @param {number} attempt - The attempt that failed
+ * @param {boolean} debug - Whether debug logging is enabled
+ * @returns {boolean}
+ */
+function shouldRetryAfter({ shouldRetry }, err, attempt, debug) {
+	if (!shouldRetry) {
+		return true;
+	}
+	try {
+		return Boolean(shouldRetry(err, attempt));
+	} catch (predicateErr) {
+		if (debug) {
+			console.error(
+				"Error in shouldRetry callback:",
+				predicateErr instanceof Error
+					? predicateErr.message
+					: String(predicateErr),
+			);
+		}
+		return false;
+	}
+}
+
+/**
+ * Aborts the signals handed to deferred callbacks once their scope no longer needs them
+ * @param {AbortController[]} controllers - Controllers of the finished deferred functions
+ */
+function abortControllers(controllers) {
+	for (const controller of controllers) {
+		if (!controller.signal.aborted) {
+			controller.abort(new Error("defer scope closed"));
+		}
+	}
+}
+
+/**
+ * Handles errors from all deferred functions
+ * @param {{result: unknown, index: number}[]} resultWithIndex - Results with their indices
+ * @param {Deque|Deferred[]} deferQueue - The queue of deferred functions
+ * @param {boolean} debug - Whether debug logging is enabled
+ * @returns {Error[]}
+ */
+function handleErrors(resultWithIndex, deferQueue, debug) {
+	return resultWithIndex
+		.filter(({ result }) => result instanceof Error)
+		.map(({ result: err, index }) => {
+			const message = createErrorMessage(
+				deferQueue,
+				index,
+				"promise rejection",
+			);
+			if (debug) {
+				console.error(message, err);
+			}
+			if (err instanceof Error) {
+				const wrappedErr = new Error(`${message}: ${err.message}`);
+				wrappedErr.cause = err;
+				// Preserve original stack trace for debugging
+				if (err.stack) {
+					wrappedErr.stack = `${wrappedErr.stack}\nCaused by:\n${err.stack}`;
+				}
+				return wrappedErr;
+			}
+			return new Error(`${message}: ${String(err)}`);
+		});
+}
+
+/**
+ * Creates the queue entry for a deferred function
+ * @param {Deferrable} callback - The deferred function, or a disposable resource
+ * @param {DeferOptions} localOptions - Local options for the deferred function
+ * @param {DeferOptions} scopeOptions - Global options of the owning scope
+ * @param {Required<PhaseDefinition>[]} phases - Phases of the owning scope
+ * @param {function(Deferred): unknown} runNow - Executes the deferred function early in its owning scope
+ * @returns {Deferred}
+ */
+function createDeferred(callback, localOptions, scopeOptions, phases, runNow) {
+	const normalized = toCallback(callback);
+	if (!normalized) {
+		throw new TypeError("callback must be a function or a disposable object");
+	}
+
+	validateOptionsObject(localOptions, "Options");
+	const local = localOptions ?? {};
+
+	const mergedOptions = { ...scopeOptions, ...local };
+	validateDeferOptions(mergedOptions);
+	// A name identifies a single deferred function, so only local options can set it
+	const functionName = local.name ?? normalized.functionName;
+	const labels =
+		scopeOptions.labels || local.labels
+			? { ...scopeOptions.labels, ...local.labels }
+			: null;
+
+	const phase = mergedOptions.phase ?? DEFAULT_PHASE;
+	if (!phases.some(({ name }) => name === phase)) {
+		throw new TypeError(`Unknown phase "${phase}"`);
+	}
+
+	let resolvePromise;
+	const promise = new Promise((resolve) => {
+		resolvePromise = resolve;
+	});
+
+	return {
+		callback: normalized.callback,
+		timeout: mergedOptions.timeout ?? null,
+		deadline: null,
+		slowThreshold: mergedOptions.slowThreshold ?? null,
+		leakThreshold:
+			normalizeLeakDetection(scopeOptions.leakDetection)?.pendingThreshold ??
+			null,
+		leak: null,
+		retry: mergedOptions.retry ?? null,
+		functionName,
+		labels,
+		displayName: formatDisplayName(functionName, labels),
+		phase,
+		options: local,
+		// Assigned by the scope once the deferred function is queued
+		order: 0,
+		isCancelled: false,
+		status: "pending",
+		value: undefined,
+		error: undefined,
+		startTime: null,
+		endTime: null,
+		resolve: resolvePromise,
+		promise,
+		runNow,
+		errorReporter: mergedOptions.errorReporter ?? null,
+		// Hooks belong to the scope, so local options cannot replace them
+		hooks: scopeOptions.hooks ?? null,
+		tracer: scopeOptions.tracer ?? null,
+		index: null,
+		attempt: 1,
+		debug: mergedOptions.debug ?? false,
+	};
+}
+
+/**
+ * Returns the status a handle reports, which shows a cancellation before the deferred function is skipped
+ * @param {Deferred} deferred - The deferred function object
+ * @returns {DeferredStatus}
+ */
+function getHandleStatus({ status, isCancelled }) {
+	return isCancelled && status === "pending" ? "cancelled" : status;
+}
+
+/**
+ * Undoes the cancellation of a deferred function that has not started yet
+ * @param {Deferred} deferred - The deferred function object
+ */
+function restoreDeferred(deferred) {
+	if (deferred.status !== "pending") {
+		throw new Error(
+			"Cannot call restore() after the deferred function has started.",
+		);
+	}
+	deferred.isCancelled = false;
+}
+
+/**
+ * Options a deferred function keeps for itself, and so can change after registration
+ */
+const UPDATABLE_OPTIONS = [
+	"timeout",
+	"slowThreshold",
+	"retry",
+	"errorReporter",
+	"debug",
+];
+
+/**
+ * Changes the options of a deferred function that has not started yet
+ * @param {Deferred} deferred - The deferred function object
+ * @param {DeferOptions} options - Options to change; null resets an option, undefined leaves it as it is
+ */
+function updateDeferred(deferred, options) {
+	if (deferred.status !== "pending") {
+		throw new Error(
+			"Cannot call update() after the deferred function has started.",
+		);
+	}
+	validateOptionsObject(options, "Options");
+	const changes = options ?? {};
+	for (const name of Object.keys(changes)) {
+		if (!UPDATABLE_OPTIONS.includes(name)) {
+			throw new TypeError(`${name} cannot be changed with update()`);
+		}
+	}
+	validateDeferOptions(changes);
+
+	deferred.options = { ...deferred.options, ...changes };
+	const { timeout, slowThreshold, retry, errorReporter, debug } = changes;
+	if (timeout !== undefined) {
+		deferred.timeout = timeout;
+	}
+	if (slowThreshold !== undefined) {
+		deferred.slowThreshold = slowThreshold;
+	}
+	if (retry !== undefined) {
+		deferred.retry = retry;
+	}
+	if (errorReporter !== undefined) {
+		deferred.errorReporter = errorReporter;
+	}
+	if (debug !== undefined) {
+		deferred.debug = debug;
+	}
+}
+
+/**
+ * Lists the queued deferred functions of a scope, in execution order
+ * @param {Deque} deferQueue - The queue of deferred functions
+ * @param {Required<PhaseDefinition>[]} phases - Phases of the owning scope
+ * @returns {PendingDeferred[]} - Frozen entries, detached from the queue
+ */
+function listPending(deferQueue, phases) {
+	return groupByPhase(deferQueue, phases)
+		.flat()
+		.map((deferred) =>
+			Object.freeze({
+				name: deferred.functionName,
+				labels: deferred.labels && Object.freeze({ ...deferred.labels }),
+				phase: deferred.phase,
+				options: Object.freeze({ ...deferred.options }),
+				order: deferred.order,
+				cancelled: deferred.isCancelled,
+			}),
+		);
+}
+
+/**
+ * Groups queued deferred functions by phase, in execution order
+ * @param {Deque} deferQueue - The queue of deferred functions
+ * @param {Required<PhaseDefinition>[]} phases - Phases of the owning scope
+ * @returns {Deferred[][]} - One group per phase, ordered LIFO or FIFO as the phase defines
+ */
+function groupByPhase(deferQueue, phases) {
+	const groups = phases.map(() => []);
+	for (const deferred of deferQueue) {
+		const phaseIndex = phases.findIndex(({ name }) => name === deferred.phase);
+		groups[phaseIndex].push(deferred);
+	}
+	// The queue iterates newest first, so FIFO phases run it reversed
+	return groups.map((group, phaseIndex) =>
+		phases[phaseIndex].order === "fifo" ? group.reverse() : group,
+	);
+}
+
+/**
+ * Builds the report resolved by scopes with the `report` option
+ * @param {unknown} value - The main function's return value
+ * @param {unknown} error - The main function's unrecovered error
+ * @param {Deferred[]} executed - Deferred functions in the order they started executing
+ * @returns {ExecutionReport}
+ */
+function createReport(value, error, executed) {
+	return { value, error, deferreds: executed.map(toOutcome) };
+}
+
+/**
+ * Summarizes how an executed deferred function settled
+ * @param {Deferred} deferred - The executed deferred function
+ * @returns {DeferredOutcome}
+ */
+function toOutcome(deferred) {
+	return {
+		name: deferred.functionName,
+		status: /** @type {DeferredOutcome["status"]} */ (deferred.status),
+		value: deferred.value,
+		error: deferred.error,
+		durationMs: getDuration(deferred) ?? 0,
+	};
+}
+
+/**
+ * Computes how long a deferred function ran
+ * @param {Deferred} deferred - The deferred function object
+ * @returns {number|null} - Duration in milliseconds, or null until it settles
+ */
+function getDuration({ startTime, endTime }) {
+	return startTime === null || endTime === null ? null : endTime - startTime;
+}
+
+/**
+ * Cleans up callback references to allow garbage collection
+ * @param {Deferred} deferred - The executed deferred function
+ */
+function releaseDeferred(deferred) {
+	deferred.callback = null;
+	deferred.resolve = null;
+	deferred.errorReporter = null;
+	deferred.hooks = null;
+	deferred.tracer = null;
+}
+
+/**
+ * Builds the handle returned by defer() around the scope's own ways to cancel, run and dispose it
+ * @template {DeferredResult|SyncDeferredResult} T
+ * @param {Deferred} deferred - The deferred function object
+ * @param {Omit<T, "status"|"promise"|"startTime"|"endTime"|"durationMs">} methods - cancel, restore, update,
+ *   runNow and the dispose method of the handle
+ * @returns {T}
+ */
+function createHandle(deferred, methods) {
+	return /** @type {T} */ ({
+		...methods,
+		get status() {
+			return getHandleStatus(deferred);
+		},
+		promise: deferred.promise,
+		get startTime() {
+			return deferred.startTime;
+		},
+		get endTime() {
+			return deferred.endTime;
+		},
+		get durationMs() {
+			return getDuration(deferred);
+		},
+	});
+}
+
+/**
+ * State and bookkeeping shared by DeferScope and SyncDeferScope, which differ only in how they
+ * execute deferred functions
+ */
+class ScopeState {
+	/**
+	 * @param {DeferOptions} options - Global options for deferred functions in the scope
+	 */
+	constructor(options) {
+		/** @type {DeferOptions} */
+		this.options = options;
+		/** @type {Deque} */
+		this.deferQueue = new Deque();
+		/** @type {Required<PhaseDefinition>[]} */
+		this.phases = normalizePhases(options.phases);
+		this.isExecuting = false;
+		this.isClosed = false;
+		// Error thrown by the main function, pending until a deferred recovers it
+		this.isPanicking = false;
+		/** @type {unknown} */
+		this.panicValue = undefined;
+		// Pending return value, readable and replaceable by deferreds like Go's named results
+		/** @type {unknown} */
+		this.result = undefined;
+		// Deferred functions in the order they started executing, for reports
+		/** @type {Deferred[]} */
+		this.executed = [];
+		this.startTime = performance.now();
+		this.registrations = 0;
+		// The queue being executed, and what each started deferred function returned
+		/** @type {{deferredArray: Deferred[], controllers: AbortController[], started: Map<Deferred, unknown>}|null} */
+		this.execution = null;
+		/** @type {Omit<CallbackContext, "signal">} */
+		this.callbackContext = {
+			recover: () => this.recover(),
+			getResult: () => this.result,
+			setResult: (value) => {
+				this.result = value;
+			},
+		};
+		callHook(options.hooks, "onScopeStart", undefined, options.debug ?? false);
+	}
+
+	/**
+	 * Records an error thrown by the main function, to rethrow once the deferreds ran
+	 * @param {unknown} err - The error thrown by the main function
+	 */
+	panic(err) {
+		this.isPanicking = true;
+		this.panicValue = err;
+	}
+
+	/**
+	 * Returns the main function's error and stops it from propagating, like Go's recover()
+	 * @returns {unknown} - The error thrown by the main function, or undefined if there is none
+	 */
+	recover() {
+		if (!this.isPanicking) {
+			return undefined;
+		}
+		const err = this.panicValue;
+		this.isPanicking = false;
+		this.panicValue = undefined;
+		return err;
+	}
+
+	/**
+	 * Queues a deferred function, once the scope still accepts new ones
+	 * @param {Deferrable} callback - The deferred function, or a disposable resource, to be executed later
+	 * @param {DeferOptions|null} localOptions - Local options for the deferred function
+	 * @param {function(Deferred): unknown} runNow - Executes the deferred function ahead of the scope
+	 * @returns {Deferred}
+	 */
+	register(callback, localOptions, runNow) {
+		if (this.isClosed) {
+			throw new Error("Cannot call defer() after the scope has been closed.");
+		}
+		if (this.isExecuting) {
+			throw new Error(
+				"Cannot call defer() during deferred function execution. Defer must be called before the main function completes.",
+			);
+		}
+
+		const deferred = createDeferred(
+			callback,
+			localOptions,
+			this.options,
+			this.phases,
+			runNow,
+		);
+		deferred.order = this.registrations++;
+		this.deferQueue.prepend(deferred);
+		callHook(
+			this.options.hooks,
+			"onDeferRegistered",
+			toDeferredEvent(deferred),
+			deferred.debug,
+		);
+		return deferred;
+	}
+
+	/**
+	 * Takes a deferred function out of the queue to execute it before the scope closes
+	 * @param {Deferred} deferred - The deferred function to execute
+	 * @returns {{index: number, snapshot: Deferred[]}} - Its position in execution order
+	 */
+	take(deferred) {
+		this.executed.push(deferred);
+		const snapshot = groupByPhase(this.deferQueue, this.phases).flat();
+		const index = snapshot.indexOf(deferred);
+		this.deferQueue.remove(deferred);
+		return { index, snapshot };
+	}
+
+	/**
+	 * Starts executing the whole queue, after which nothing can be deferred anymore
+	 * @returns {Deferred[][]} - The queued deferred functions, one group per phase in execution order
+	 */
+	startExecution() {
+		this.isExecuting = true;
+		const phaseGroups = groupByPhase(this.deferQueue, this.phases);
+		this.deferQueue = new Deque();
+		this.execution = {
+			deferredArray: phaseGroups.flat(),
+			controllers: [],
+			started: new Map(),
+		};
+		return phaseGroups;
+	}
+
+	/**
+	 * Executes a deferred function of the queue being executed, unless runNow() already started it
+	 * @template R
+	 * @param {number} index - Its position in execution order
+	 * @param {function(Deferred, number, Deferred[], Omit<CallbackContext, "signal">, AbortController[]): R} handle - Executes it
+	 * @returns {R} - What the deferred function returned, or is returning
+	 */
+	execute(index, handle) {
+		const { deferredArray, controllers, started } =
+			/** @type {NonNullable<ScopeState["execution"]>} */ (this.execution);
+		const deferred = deferredArray[index];
+		if (!started.has(deferred)) {
+			this.executed.push(deferred);
+			started.set(
+				deferred,
+				handle(
+					deferred,
+					index,
+					deferredArray,
+					this.callbackContext,
+					controllers,
+				),
+			);
+		}
+		return /** @type {R} */ (started.get(deferred));
+	}
+
+	/**
+	 * Executes a deferred function of the queue being executed ahead of its turn, e.g. when another
+	 * deferred function awaits its runNow(). The scope reports its errors along with the others.
+	 * @template R
+	 * @param {Deferred} deferred - The deferred function to execute
+	 * @param {function(Deferred, number, Deferred[], Omit<CallbackContext, "signal">, AbortController[]): R} handle - Executes it
+	 * @returns {R}
+	 */
+	executeEarly(deferred, handle) {
+		const { deferredArray } =
+			/** @type {NonNullable<ScopeState["execution"]>} */ (this.execution);
+		return this.execute(deferredArray.indexOf(deferred), handle);
+	}
+
+	/**
+	 * Cleans up after deferred functions executed and reports their errors
+	 * @param {{result: unknown, index: number}[]} results - The result of each executed deferred function
+	 * @param {Deferred[]} deferredArray - The deferred functions in execution order
+	 * @param {AbortController[]} controllers - Controllers created for the callbacks
+	 * @returns {Error[]} - The errors of the failed deferred functions
+	 */
+	finish(results, deferredArray, controllers) {
+		// Stop any work still tied to a deferred's signal
+		abortControllers(controllers);
+		const errors = handleErrors(
+			results,
+			deferredArray,
+			this.options.debug ?? false,
+		);
+		for (const { index } of results) {
+			releaseDeferred(deferredArray[index]);
+		}
+		return errors;
+	}
+
+	/**
+	 * Closes the scope once all its deferred functions executed
+	 * @param {Error[]} errors - The errors of the failed deferred functions
+	 */
+	close(errors) {
+		this.isExecuting = false;
+		this.isClosed = true;
+		callHook(
+			this.options.hooks,
+			"onScopeEnd",
+			{
+				deferreds: this.executed.map(toOutcome),
+				durationMs: performance.now() - this.startTime,
+			},
+			this.options.debug ?? false,
+		);
+		this.throwIfFailed(errors);
+	}
+
+	/**
+	 * @param {Error[]} errors - The errors of the failed deferred functions
+	 * @throws {AggregateError} If a deferred function failed and the scope has `throwOnError`
+	 */
+	throwIfFailed(errors) {
+		if (this.options.throwOnError && errors.length > 0) {
+			throw new AggregateError(
+				errors,
+				`${errors.length} deferred functions failed`,
+			);
+		}
+	}
+
+	/**
+	 * Settles the main function once the scope closed: its result, its unrecovered error, or a report
+	 * @param {Span|null} span - The span of the scope, if it is traced
+	 * @returns {unknown} - The return value of the main function, or a report with the `report` option
+	 */
+	settle(span) {
+		span?.setAttribute("defer.count", this.executed.length);
+		if (this.options.report) {
+			// A report resolves even with an error, so record it before the span sees success
+			if (span && this.isPanicking) {
+				recordSpanError(span, this.panicValue);
+			}
+			return createReport(
+				this.isPanicking ? undefined : this.result,
+				this.isPanicking ? this.panicValue : undefined,
+				this.executed,
+			);
+		}
+		return this.unwrap();
+	}
+
+	/**
+	 * Rethrows the main function's unrecovered error, or returns its result
+	 * @returns {unknown}
+	 */
+	unwrap() {
+		if (this.isPanicking) {
+			throw this.panicValue;
+		}
+		return this.result;
+	}
+}
+
+/**
+ * A LIFO stack of deferred functions that is not tied to a single function call.
+ * Also implements the AsyncDisposableStack interface, so it works with `await using`.
+ */
+class DeferScope {
+	/** @type {ScopeState} */
+	#state;
+	/** @type {Promise<PromiseSettledResult<unknown>[]>|null} */
+	#closing = null;
+	// Unexecuted deferred functions, for reporting the scope if it is collected before closing
+	/** @type {LeakLedger|null} */
+	#leakLedger = null;
+
+	/**
+	 * Adds a deferred function to the scope; can be passed around detached from the scope
+	 * @type {DeferFunction}
+	 */
+	defer;
+
+	/**
+	 * @param {DeferOptions} [options={}] - Global options for deferred functions in this scope
+	 */
+	constructor(options = {}) {
+		validateOptionsObject(options, "Options");
+		const scopeOptions = options ?? {};
+		validateScopeOptions(scopeOptions);
+		if (
+			normalizeLeakDetection(scopeOptions.leakDetection)?.gc &&
+			scopeRegistry
+		) {
+			this.#leakLedger = {
+				pending: new Set(),
+				hooks: scopeOptions.hooks ?? null,
+				errorReporter: scopeOptions.errorReporter ?? null,
+				debug: scopeOptions.debug ?? false,
+			};
+			scopeRegistry.register(this, this.#leakLedger, this.#leakLedger);
+		}
+		this.#state = new ScopeState(scopeOptions);
+
+		/** @type {DeferFunction} */
+		const defer = (callback, localOptions = {}) =>
+			this.#defer(callback, localOptions);
+		defer.move = () => this.#move();
+		defer.pending = () => this.pending();
+		Object.defineProperty(defer, "size", { get: () => this.size });
+		this.defer = defer;
+	}
+
+	/**
+	 * Checks options for a scope without creating one, for APIs that create scopes later
+	 * @param {DeferOptions} options - Global options for deferred functions in a scope
+	 * @throws {TypeError} If the options are invalid
+	 */
+	static validateOptions(options) {
+		validateOptionsObject(options, "Options");
+		validateScopeOptions(options ?? {});
+	}
+
+	/**
+	 * Whether the scope has been closed
+	 * @returns {boolean}
+	 */
+	get disposed() {
+		return this.#closing !== null;
+	}
+
+	/**
+	 * Number of queued deferred functions, including cancelled ones
+	 * @returns {number}
+	 */
+	get size() {
+		return this.#state.deferQueue.length;
+	}
+
+	/**
+	 * Returns a snapshot of the queued deferred functions, in the order they will execute
+	 * @returns {PendingDeferred[]}
+	 */
+	pending() {
+		return listPending(this.#state.deferQueue, this.#state.phases);
+	}
+
+	/**
+	 * Adds a deferred function to the queue
+	 * @param {Deferrable} callback - The deferred function, or a disposable resource, to be executed later
+	 * @param {DeferOptions} localOptions - Local options for the deferred function
+	 * @returns {DeferredResult} - A disposable handle with a cancel method and a promise for the deferred function
+	 */
+	#defer(callback, localOptions) {
+		const deferred = this.#state.register(callback, localOptions, (item) =>
+			this.#runNow(item),
+		);
+		trackLeak(this.#leakLedger, deferred);
+		return createHandle(deferred, {
+			cancel: () => {
+				deferred.isCancelled = true;
+				untrackLeak(deferred);
+			},
+			restore: () => {
+				const wasCancelled = deferred.isCancelled;
+				restoreDeferred(deferred);
+				if (wasCancelled) {
+					trackLeak(deferred.leak?.ledger ?? null, deferred);
+				}
+			},
+			update: (options) => updateDeferred(deferred, options),
+			runNow: async () => deferred.runNow(deferred),
+			[asyncDisposeSymbol]: async () => {
+				await deferred.runNow(deferred);
+			},
+		});
+	}
+
+	/**
+	 * Runs a function with this scope's defer, then closes the scope
+	 * @param {function(DeferFunction): (unknown|Promise<unknown>)} fn - The main function to execute
+	 * @returns {Promise<unknown>} - The return value of the main function
+	 */
+	async run(fn) {
+		if (this.#closing) {
+			throw new Error("Cannot call run() after the scope has been closed.");
+		}
+		return withSpan(
+			this.#state.options.tracer ?? null,
+			"withDefer",
+			{},
+			(span) => this.#run(fn, span),
+		);
+	}
+
+	/**
+	 * Runs the main function and closes the scope, recording an unrecovered error on the span
+	 * @param {function(DeferFunction): (unknown|Promise<unknown>)} fn - The main function to execute
+	 * @param {Span|null} span - The span of the scope, if it is traced
+	 * @returns {Promise<unknown>} - The return value of the main function
+	 */
+	async #run(fn, span) {
+		try {
+			this.#state.result = await fn(this.defer);
+		} catch (err) {
+			this.#state.panic(err);
+		}
+		await this.#close();
+		return this.#state.settle(span);
+	}
+
+	/**
+	 * Runs a (async) generator function with this scope's defer, closing the scope once iteration
+	 * completes, throws, or is stopped early through return() (e.g. `break` in `for await`)
+	 * @param {function(DeferFunction): (Iterable<unknown>|AsyncIterable<unknown>)} fn - The generator function to execute
+	 * @returns {AsyncGenerator<unknown, unknown, unknown>} - Yields the generator's values and returns its return value
+	 */
+	async *runGenerator(fn) {
+		if (this.#closing) {
+			throw new Error("Cannot call run() after the scope has been closed.");
+		}
+		validateNoReport(this.#state.options, "runGenerator()");
+		const { close } = await this.#traceUntilClosed(async () => undefined);
+		try {
+			this.#state.result = yield* fn(this.defer);
+		} catch (err) {
+			this.#state.panic(err);
+		} finally {
+			// Also reached when the consumer stops iterating early
+			await close();
+		}
+		return this.#state.unwrap();
+	}
+
+	/**
+	 * Runs a Fetch API handler with this scope's defer. When it returns a Response with a body, the
+	 * scope closes once that body has been fully read, has errored or has been cancelled, instead of
+	 * when the handler returns; otherwise it closes right away, like run(). Once the body streams, failures
+	 * of the deferred functions only go through errorReporter, as `throwOnError` has nothing to reject.
+	 * @param {function(DeferFunction): (Response|Promise<Response>)} fn - The handler to execute
+	 * @returns {Promise<Response>} - The handler's response, with its body wrapped in a pass-through stream
+	 */
+	async runResponse(fn) {
+		if (this.#closing) {
+			throw new Error("Cannot call run() after the scope has been closed.");
+		}
+		validateNoReport(this.#state.options, "runResponse()");
+		const { value: response, close } = await this.#traceUntilClosed(
+			async () => {
+				try {
+					return await fn(this.defer);
+				} catch (err) {
+					this.#state.panic(err);
+					return undefined;
+				}
+			},
+		);
+		this.#state.result = response;
+		if (
+			this.#state.isPanicking ||
+			!(response instanceof Response) ||
+			response.body === null
+		) {
+			// Nothing left to stream, so finish like run(); a deferred may recover with another response
+			await close();
+			return /** @type {Response} */ (this.#state.unwrap());
+		}
+
+		let reader;
+		try {
+			reader = response.body.getReader();
+		} catch (err) {
+			// A locked or consumed body cannot be streamed, so clean up now; cleanup failures went through errorReporter
+			await close().catch(() => {});
+			throw err;
+		}
+		// Failures already went through errorReporter, and nobody awaits the stream's end
+		const closeStream = () => {
+			close().catch(() => {});
+		};
+		const body = new ReadableStream({
+			async pull(controller) {
+				let chunk;
+				try {
+					chunk = await reader.read();
+				} catch (err) {
+					controller.error(err);
+					closeStream();
+					return;
+				}
+				if (chunk.done) {
+					controller.close();
+					closeStream();
+					return;
+				}
+				controller.enqueue(chunk.value);
+			},
+			async cancel(reason) {
+				try {
+					await reader.cancel(reason);
+				} finally {
+					closeStream();
+				}
+			},
+		});
+		return new Response(body, {
+			status: response.status,
+			statusText: response.statusText,
+			headers: response.headers,
+		});
+	}
+
+	/**
+	 * Starts a main function that outlives the call starting it, like a generator or a streamed
+	 * response, inside the scope's span. The span stays open until the returned close() closes the
+	 * scope, so the spans of the deferred functions nest under it.
+	 * @template T
+	 * @param {function(): Promise<T>} start - Starts the main function, recording its error with panic()
+	 * @returns {Promise<{value: T, close: function(): Promise<void>}>} - What start() returned, and a function closing the scope
+	 */
+	#traceUntilClosed(start) {
+		return new Promise((resolve) => {
+			/** @type {function(void): void} */
+			let requestClose = () => {};
+			const closeRequested = new Promise((resolveClose) => {
+				requestClose = resolveClose;
+			});
+			/** @type {Promise<void>} */
+			let closed = Promise.resolve();
+			const close = () => {
+				requestClose();
+				return closed;
+			};
+			closed = withSpan(
+				this.#state.options.tracer ?? null,
+				"withDefer",
+				{},
+				async (span) => {
+					resolve({ value: await start(), close });
+					await closeRequested;
+					// Closing inside the span's callback keeps it active for the deferred functions
+					await this.#close();
+					span?.setAttribute("defer.count", this.#state.executed.length);
+					if (span && this.#state.isPanicking) {
+						recordSpanError(span, this.#state.panicValue);
+					}
+				},
+			);
+		});
+	}
+
+	/**
+	 * Executes the queued deferred functions in LIFO order; later calls wait for the same execution
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		await this.#close();
+	}
+
+	/**
+	 * Executes the deferred functions, only once however often it is called
+	 * @returns {Promise<PromiseSettledResult<unknown>[]>}
+	 */
+	#close() {
+		if (!this.#closing) {
+			this.#closing = this.#executeDeferredFunctions();
+		}
+		return this.#closing;
+	}
+
+	/**
+	 * Registers a disposable resource and returns it, like AsyncDisposableStack#use()
+	 * @template {Disposable|AsyncDisposable|null|undefined} T
+	 * @param {T} resource - The resource to dispose when the scope closes
+	 * @returns {T}
+	 */
+	use(resource) {
+		if (resource !== null && resource !== undefined) {
+			this.defer(resource);
+		}
+		return resource;
+	}
+
+	/**
+	 * Registers a dispose callback for a value and returns the value, like AsyncDisposableStack#adopt()
+	 * @template T
+	 * @param {T} value - The value to dispose when the scope closes
+	 * @param {function(T): unknown} onDispose - Disposes the value
+	 * @returns {T}
+	 */
+	adopt(value, onDispose) {
+		if (typeof onDispose !== "function") {
+			throw new TypeError("onDispose must be a function");
+		}
+		this.defer(() => onDispose(value));
+		return value;
+	}
+
+	/**
+	 * Moves all pending deferred functions into a new scope and disposes this one, like AsyncDisposableStack#move()
+	 * @returns {DeferScope} - A scope that owns the moved deferred functions
+	 */
+	move() {
+		const target = this.#move();
+		this.#state.isClosed = true;
+		this.#closing = Promise.resolve([]);
+		return target;
+	}
+
+	/**
+	 * Moves all pending deferred functions into a new scope, leaving this one empty but open,
+	 * so the function running in the scope can keep deferring
+	 * @returns {DeferScope} - A scope that owns the moved deferred functions
+	 */
+	#move() {
+		if (this.#closing) {
+			throw new Error("Cannot call move() after the scope has been closed.");
+		}
+		const target = new DeferScope(this.#state.options);
+		target.#state.deferQueue = this.#state.deferQueue;
+		target.#state.registrations = this.#state.registrations;
+		this.#state.deferQueue = new Deque();
+		// Handles of moved deferreds now execute them in the new scope
+		for (const deferred of target.#state.deferQueue) {
+			deferred.runNow = (item) => target.#runNow(item);
+			untrackLeak(deferred);
+			trackLeak(target.#leakLedger, deferred);
+			if (deferred.isCancelled) {
+				untrackLeak(deferred);
+			}
+		}
+		return target;
+	}
+
+	/**
+	 * Closes the scope, like AsyncDisposableStack#disposeAsync()
+	 * @returns {Promise<void>}
+	 */
+	disposeAsync() {
+		return this.close();
+	}
+
+	/**
+	 * Closes the scope at the end of an `await using` block
+	 * @returns {Promise<void>}
+	 */
+	[asyncDisposeSymbol]() {
+		return this.close();
+	}
+
+	/**
+	 * Executes a single deferred function ahead of the scope and removes it from the queue
+	 * @param {Deferred} deferred - The deferred function to execute
+	 * @returns {Promise<unknown>} - The result of the deferred function
+	 */
+	async #runNow(deferred) {
+		if (deferred.status !== "pending") {
+			return deferred.promise;
+		}
+		untrackLeak(deferred);
+		if (this.#state.isExecuting) {
+			return this.#state.executeEarly(deferred, handleDeferred);
+		}
+
+		const { index, snapshot } = this.#state.take(deferred);
+		const controllers = [];
+		const result = await handleDeferred(
+			deferred,
+			index,
+			snapshot,
+			this.#state.callbackContext,
+			controllers,
+		);
+		this.#state.throwIfFailed(
+			this.#state.finish([{ result, index }], snapshot, controllers),
+		);
+		return result;
+	}
+
+	/**
+	 * Executes all deferred functions phase by phase, starting them in each phase's order.
+	 * Runs them sequentially unless the scope's `concurrency` option allows several at once.
+	 * @returns {Promise<PromiseSettledResult<unknown>[]>}
+	 */
+	async #executeDeferredFunctions() {
+		const { concurrency = 1, totalTimeout = null } = this.#state.options;
+		const phaseGroups = this.#state.startExecution();
+		// Every queued deferred function runs from here on, so nothing can leak anymore
+		if (this.#leakLedger) {
+			scopeRegistry?.unregister(this.#leakLedger);
+			this.#leakLedger = null;
+		}
+		/** @type {PromiseSettledResult<unknown>[]} */
+		const results = [];
+		const { deferredArray, controllers } =
+			/** @type {NonNullable<ScopeState["execution"]>} */ (
+				this.#state.execution
+			);
+		let nextIndex = 0;
+		// The budget spans all phases, starting when the scope starts running its deferreds
+		if (totalTimeout !== null) {
+			const deadline = {
+				at: performance.now() + totalTimeout,
+				exceeded: false,
+			};
+			for (const deferred of deferredArray) {
+				deferred.deadline = deadline;
+			}
+		}
+
+		// Each worker picks up the next deferred of the phase once its current one settles
+		const worker = async (phaseEnd) => {
+			while (nextIndex < phaseEnd) {
+				const i = nextIndex++;
+				const result = await Promise.allSettled([
+					this.#state.execute(i, handleDeferred),
+				]);
+				results[i] = result[0];
+			}
+		};
+
+		// A phase only starts once every deferred of the previous phase has settled
+		for (const group of phaseGroups) {
+			const phaseEnd = nextIndex + group.length;
+			const workerCount = Math.min(concurrency, group.length);
+			await Promise.all(
+				Array.from({ length: workerCount }, () => worker(phaseEnd)),
+			);
+		}
+
+		const errors = this.#state.finish(
+			results.map((r, index) => ({
+				result: r.status === "fulfilled" ? r.value : r.reason,
+				index,
+			})),
+			deferredArray,
+			controllers,
+		);
+		this.#state.close(errors);
+		return results;
+	}
+}
+
+/**
+ * Options that need asynchronous execution and are rejected by withDeferSync
+ * @param {DeferOptions} options - Options to validate
+ * @param {string} [api="withDeferSync"] - The API that was given the options
+ */
+function validateSyncOptions(options, api = "withDeferSync") {
+	for (const name of ["timeout", "totalTimeout", "retry"]) {
+		if (options[name] !== null && options[name] !== undefined) {
+			throw new TypeError(`${name} is not supported by ${api}`);
+		}
+	}
+	if (options.concurrency !== undefined && options.concurrency !== 1) {
+		throw new TypeError(`concurrency is not supported by ${api}`);
+	}
+	// Deferreds always run before the scope returns, so nothing is left to leak
+	if (options.leakDetection !== undefined && options.leakDetection !== false) {
+		throw new TypeError(`leakDetection is not supported by ${api}`);
+	}
+}
+
+/**
+ * Rejects the `report` option for APIs that yield or stream the main function's result as it is
+ * @param {DeferOptions} options - Options to validate
+ * @param {string} name - The API that was given the options
+ */
+function validateNoReport(options, name) {
+	if (options.report) {
+		throw new TypeError(`report is not supported by ${name}`);
+	}
+}
+
+/**
+ * Checks whether a value is a promise or another thenable
+ * @param {unknown} value - The value to check
+ * @returns {value is PromiseLike<unknown>}
+ */
+function isThenable(value) {
+	return (
+		value !== null &&
+		(typeof value === "object" || typeof value === "function") &&
+		"then" in value &&
+		typeof value.then === "function"
+	);
+}
+
+/**
+ * Handles the synchronous execution of a single deferred function
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in the queue
+ * @param {Deferred[]} deferQueue - The deferred functions in execution order, for error messaging
+ * @param {Omit<CallbackContext, "signal">} context - The scope context passed to the deferred callback
+ * @param {AbortController[]} controllers - Receives the controller created for the callback
+ * @returns {unknown}
+ */
+function handleDeferredSync(deferred, index, deferQueue, context, controllers) {
+	return traceDeferred(deferred, index, () => {
+		const result = executeDeferredSync(
+			deferred,
+			index,
+			deferQueue,
+			context,
+			controllers,
+		);
+		// Nothing can interrupt synchronous code, so slowness is only known once it returns
+		const { slowThreshold, startTime, endTime } = deferred;
+		if (
+			slowThreshold !== null &&
+			!deferred.isCancelled &&
+			endTime - startTime > slowThreshold
+		) {
+			reportSlow(deferred, index, deferQueue, endTime - startTime);
+		}
+		return result;
+	});
+}
+
+/**
+ * Executes a single deferred function synchronously
+ * @param {Deferred} deferred - The deferred function object
+ * @param {number} index - The index of the deferred function in the queue
+ * @param {Deferred[]} deferQueue - The deferred functions in execution order, for error messaging
+ * @param {Omit<CallbackContext, "signal">} context - The scope context passed to the deferred callback
+ * @param {AbortController[]} controllers - Receives the controller created for the callback
+ * @returns {unknown}
+ */
+function executeDeferredSync(
+	deferred,
+	index,
+	deferQueue,
+	context,
+	controllers,
+) {
+	const { callback, isCancelled, resolve, errorReporter, debug } = deferred;
+	startDeferred(deferred, index);
+	if (isCancelled) {
+		const result = "deferred function was cancelled";
+		settleDeferred(deferred, "cancelled");
+		resolve(result);
+		return result;
+	}
+
+	const controller = new AbortController();
+	controllers.push(controller);
+	try {
+		const result = callback({ ...context, signal: controller.signal });
+		if (isThenable(result)) {
+			// Nobody will await the abandoned promise, so keep it from becoming an unhandled rejection
+			result.then(undefined, () => {});
+			throw new TypeError(
+				"deferred function returned a thenable, but withDeferSync only supports synchronous callbacks",
+			);
 		}
+		settleDeferred(deferred, "fulfilled", result);
 		resolve(result);
 		return result;
 	} catch (err) {
-		// Ensure timeout is cleared even if callback throws
-		if (timeoutId !== undefined) {
-			clearTimeout(timeoutId);
-		}
-		const action =
-			err instanceof Error && err.message === "timeout exceeded"
-				? "timed out"
-				: "failed to execute";
-		reportError(err, index, action, deferQueue, errorReporter, debug);
+		reportError(
+			err,
+			index,
+			"failed to execute",
+			deferQueue,
+			errorReporter,
+			debug,
+			1,
+			deferred.startTime,
+		);
+		settleDeferred(deferred, "rejected", undefined, err);
 		resolve(err);
 		return err;
 	}
 }
 
 /**
- * Creates a wrapper function that allows for deferred execution with error handling
+ * Synchronous counterpart of DeferScope used by withDeferSync
+ */
+class SyncDeferScope {
+	/** @type {ScopeState} */
+	#state;
+
+	/**
+	 * Adds a deferred function to the scope
+	 * @type {SyncDeferFunction}
+	 */
+	defer;
+
+	/**
+	 * @param {DeferOptions} options - Global options for deferred functions in this scope
+	 */
+	constructor(options) {
+		this.#state = new ScopeState(options ?? {});
+		/** @type {SyncDeferFunction} */
+		const defer = (callback, localOptions = {}) =>
+			this.#defer(callback, localOptions);
+		defer.pending = () =>
+			listPending(this.#state.deferQueue, this.#state.phases);
+		Object.defineProperty(defer, "size", {
+			get: () => this.#state.deferQueue.length,
+		});
+		this.defer = defer;
+	}
+
+	/**
+	 * Adds a deferred function to the queue
+	 * @param {Deferrable} callback - The deferred function, or a disposable resource, to be executed later
+	 * @param {DeferOptions} localOptions - Local options for the deferred function
+	 * @returns {SyncDeferredResult} - A disposable handle with a cancel method and a promise for the deferred function
+	 */
+	#defer(callback, localOptions) {
+		if (localOptions !== null && typeof localOptions === "object") {
+			validateSyncOptions(localOptions);
+		}
+		const deferred = this.#state.register(callback, localOptions, (item) =>
+			this.#runNow(item),
+		);
+		return createHandle(deferred, {
+			cancel: () => {
+				deferred.isCancelled = true;
+			},
+			restore: () => restoreDeferred(deferred),
+			update: (options) => {
+				validateOptionsObject(options, "Options");
+				validateSyncOptions(options ?? {});
+				updateDeferred(deferred, options);
+			},
+			runNow: () => deferred.runNow(deferred),
+			[disposeSymbol]: () => {
+				deferred.runNow(deferred);
+			},
+		});
+	}
+
+	/**
+	 * Runs the main function with this scope's defer, then executes the deferred functions
+	 * @param {function(SyncDeferFunction): unknown} fn - The main function to execute
+	 * @returns {unknown} - The return value of the main function
+	 */
+	run(fn) {
+		return withSpan(
+			this.#state.options.tracer ?? null,
+			"withDeferSync",
+			{},
+			(span) => this.#run(fn, span),
+		);
+	}
+
+	/**
+	 * Runs the main function and executes the deferred functions, recording an unrecovered error on the span
+	 * @param {function(SyncDeferFunction): unknown} fn - The main function to execute
+	 * @param {Span|null} span - The span of the scope, if it is traced
+	 * @returns {unknown} - The return value of the main function
+	 */
+	#run(fn, span) {
+		try {
+			const result = fn(this.defer);
+			if (isThenable(result)) {
+				result.then(undefined, () => {});
+				throw new TypeError(
+					"main function returned a thenable, but withDeferSync only supports synchronous functions",
+				);
+			}
+			this.#state.result = result;
+		} catch (err) {
+			this.#state.panic(err);
+		}
+		this.#executeDeferredFunctions();
+		return this.#state.settle(span);
+	}
+
+	/**
+	 * Runs a generator function with this scope's defer, executing the deferred functions synchronously once
+	 * iteration completes, throws, or is stopped early through return() (e.g. `break` in `for...of`)
+	 * @param {function(SyncDeferFunction): Iterable<unknown>} fn - The generator function to execute
+	 * @returns {Generator<unknown, unknown, unknown>} - Yields the generator's values and returns its return value
+	 */
+	*runGenerator(fn) {
+		try {
+			this.#state.result = yield* fn(this.defer);
+		} catch (err) {
+			this.#state.panic(err);
+		} finally {
+			// The consumer drives each step, so only the cleanup can run inside the span
+			withSpan(
+				this.#state.options.tracer ?? null,
+				"withDeferSync",
+				{},
+				(span) => {
+					this.#executeDeferredFunctions();
+					span?.setAttribute("defer.count", this.#state.executed.length);
+					if (span && this.#state.isPanicking) {
+						recordSpanError(span, this.#state.panicValue);
+					}
+				},
+			);
+		}
+		return this.#state.unwrap();
+	}
+
+	/**
+	 * Executes a single deferred function ahead of the scope and removes it from the queue
+	 * @param {Deferred} deferred - The deferred function to execute
+	 * @returns {unknown} - The result of the deferred function
+	 */
+	#runNow(deferred) {
+		if (deferred.status !== "pending") {
+			return undefined;
+		}
+		if (this.#state.isExecuting) {
+			return this.#state.executeEarly(deferred, handleDeferredSync);
+		}
+
+		const { index, snapshot } = this.#state.take(deferred);
+		const controllers = [];
+		const result = handleDeferredSync(
+			deferred,
+			index,
+			snapshot,
+			this.#state.callbackContext,
+			controllers,
+		);
+		this.#state.throwIfFailed(
+			this.#state.finish([{ result, index }], snapshot, controllers),
+		);
+		return result;
+	}
+
+	/**
+	 * Executes all deferred functions synchronously, phase by phase
+	 * @returns {unknown[]} - The result of each deferred function
+	 */
+	#executeDeferredFunctions() {
+		this.#state.startExecution();
+		const { deferredArray, controllers } =
+			/** @type {NonNullable<ScopeState["execution"]>} */ (
+				this.#state.execution
+			);
+
+		const results = deferredArray.map((_, index) =>
+			this.#state.execute(index, handleDeferredSync),
+		);
+
+		const errors = this.#state.finish(
+			results.map((result, index) => ({ result, index })),
+			deferredArray,
+			controllers,
+		);
+		this.#state.close(errors);
+		return results;
+	}
+}
+
+/**
+ * Checks whether a function is a (async) generator function
+ * @param {Function} fn - The function to check
+ * @returns {boolean}
+ */
+function isGeneratorFunction(fn) {
+	const tag = Object.prototype.toString.call(fn);
+	return (
+		tag === "[object GeneratorFunction]" ||
+		tag === "[object AsyncGeneratorFunction]"
+	);
+}
+
+/**
+ * Checks whether a function is a synchronous generator function
+ * @param {Function} fn - The function to check
+ * @returns {boolean}
+ */
+function isSyncGeneratorFunction(fn) {
+	return Object.prototype.toString.call(fn) === "[object GeneratorFunction]";
+}
+
+/**
+ * Creates a wrapper function that allows for deferred execution with error handling.
+ * Generator functions are wrapped in a generator of the same kind whose deferreds run when iteration ends;
+ * those of a synchronous generator run synchronously, like withDeferSync.
+ * @overload
+ * @param {function(SyncDeferFunction, ...any): Generator} fn - The generator function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...any): Generator<unknown, unknown, unknown>} - A function that returns a generator over the provided generator's values
+ */
+/**
+ * @overload
+ * @param {function(DeferFunction, ...any): AsyncGenerator} fn - The async generator function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...any): AsyncGenerator<unknown, unknown, unknown>} - A function that returns an async generator over the provided generator's values
+ */
+/**
+ * @overload
  * @param {function(DeferFunction, ...unknown[]): (unknown|Promise<unknown>)} fn - The main function to execute
  * @param {DeferOptions} [options={}] - Global options for deferred functions
  * @returns {function(...unknown[]): Promise<unknown>} - A function that runs the provided function with deferred execution and returns the main function's return value
  */
+/**
+ * @param {function(any, ...any): unknown} fn - The main function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...any): (Promise<unknown>|Generator<unknown, unknown, unknown>|AsyncGenerator<unknown, unknown, unknown>)}
+ */
 function withDefer(fn, options = {}) {
 	if (typeof fn !== "function") {
 		throw new TypeError("First argument must be a function");
 	}
 
 	validateOptionsObject(options, "Options");
+	validateScopeOptions(options ?? {});
 
-	return async (...args) => {
-		/**
-		 * Creates a deferral context with the provided global options
-		 * @param {DeferOptions} [globalOptions={}] - Global options for the deferral context
-		 * @returns {DeferContext} - An object with defer and run methods
-		 */
-		function createDefer(globalOptions = {}) {
-			const { debug = false, throwOnError = false } = globalOptions;
-
-			/** @type {Deque} */
-			const deferQueue = new Deque();
-			let isExecuting = false;
-
-			/**
-			 * Adds a deferred function to the queue
-			 * @param {function(): Promise<unknown>} callback - The deferred function to be executed later
-			 * @param {DeferOptions} [localOptions={}] - Local options for the deferred function
-			 * @returns {{cancel: function(): void, promise: Promise<unknown>}} - An object with a cancel method and a promise for the deferred function
-			 */
-			function defer(callback, localOptions = {}) {
-				if (isExecuting) {
-					throw new Error(
-						"Cannot call defer() during deferred function execution. Defer must be called before the main function completes.",
-					);
-				}
+	if (isSyncGeneratorFunction(fn)) {
+		validateNoReport(options ?? {}, "generator functions");
+		validateSyncOptions(options ?? {}, "synchronous generator functions");
+		return (...args) => {
+			const scope = new SyncDeferScope(options);
+			return scope.runGenerator(
+				(defer) => /** @type {Generator} */ (fn(defer, ...args)),
+			);
+		};
+	}
 
-				if (typeof callback !== "function") {
-					throw new TypeError("callback must be a function");
-				}
+	if (isGeneratorFunction(fn)) {
+		validateNoReport(options ?? {}, "generator functions");
+		return (...args) => {
+			const scope = new DeferScope(options);
+			return scope.runGenerator(
+				(defer) => /** @type {AsyncGenerator} */ (fn(defer, ...args)),
+			);
+		};
+	}
 
-				validateOptionsObject(localOptions, "Options");
-
-				const mergedOptions = { ...globalOptions, ...localOptions };
-				validateDeferOptions(mergedOptions);
-
-				let resolvePromise;
-				const promise = new Promise((resolve) => {
-					resolvePromise = resolve;
-				});
-
-				/** @var {Deferred} deferred */
-				const deferred = {
-					callback,
-					timeout: mergedOptions.timeout ?? null,
-					functionName: callback.name || "anonymous",
-					isCancelled: false,
-					resolve: resolvePromise,
-					errorReporter: mergedOptions.errorReporter ?? null,
-					debug: mergedOptions.debug ?? false,
-				};
-
-				deferQueue.prepend(deferred);
-				return {
-					cancel: () => {
-						deferred.isCancelled = true;
-					},
-					promise,
-				};
-			}
+	return async (...args) => {
+		const scope = new DeferScope(options);
+		return scope.run((defer) => fn(defer, ...args));
+	};
+}
 
-			/**
-			 * Runs the main function and the deferred functions
-			 * @param {function(): Promise<unknown>} fn - The main function to execute
-			 * @returns {Promise<unknown>} - The return value of the main function
-			 */
-			async function run(fn) {
-				let returnValue;
-				try {
-					returnValue = await fn();
-				} finally {
-					await executeDeferredFunctions();
-				}
-				return returnValue;
-			}
+/**
+ * Wraps a Fetch API handler (`Request` in, `Response` out) so its deferred functions run once the
+ * response body has been fully consumed, has errored or has been cancelled, rather than when the handler returns.
+ * Failures of deferred functions that run after a streamed body are only reported, as `throwOnError` has nothing to reject.
+ * @param {function(DeferFunction, Request, ...unknown[]): (Response|Promise<Response>)} fn - The handler to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(Request, ...unknown[]): Promise<Response>} - A handler that returns the response with a pass-through body
+ */
+withDefer.handler = (fn, options = {}) => {
+	if (typeof fn !== "function") {
+		throw new TypeError("First argument must be a function");
+	}
 
-			/**
-			 * Executes all deferred functions sequentially in LIFO order
-			 * @returns {Promise<PromiseSettledResult<unknown>[]>}
-			 */
-			async function executeDeferredFunctions() {
-				isExecuting = true;
-				const results = [];
-				const deferredArray = Array.from(deferQueue);
-
-				for (let i = 0; i < deferredArray.length; i++) {
-					const result = await Promise.allSettled([
-						handleDeferred(deferredArray[i], i, deferQueue),
-					]);
-					results.push(result[0]);
-				}
+	validateOptionsObject(options, "Options");
+	validateScopeOptions(options ?? {});
+	validateNoReport(options ?? {}, "withDefer.handler");
 
-				const errors = handleErrors(
-					results.map((r, index) => ({
-						result: r.status === "fulfilled" ? r.value : r.reason,
-						index,
-					})),
-					deferQueue,
-					debug,
-				);
+	return (request, ...args) => {
+		const scope = new DeferScope(options);
+		return scope.runResponse((defer) => fn(defer, request, ...args));
+	};
+};
 
-				// Clean up callback references to allow garbage collection
-				for (const deferred of deferQueue) {
-					deferred.callback = null;
-					deferred.resolve = null;
-					deferred.errorReporter = null;
-				}
+/**
+ * Creates a wrapper function that runs a synchronous function and its deferred functions synchronously.
+ * Deferred functions may not return thenables, and `timeout`, `totalTimeout`, `retry`, `concurrency` and
+ * `leakDetection` are not supported.
+ * @param {function(SyncDeferFunction, ...unknown[]): unknown} fn - The main function to execute
+ * @param {DeferOptions} [options={}] - Global options for deferred functions
+ * @returns {function(...unknown[]): unknown} - A function that runs the provided function with deferred execution and returns the main function's return value
+ */
+function withDeferSync(fn, options = {}) {
+	if (typeof fn !== "function") {
+		throw new TypeError("First argument must be a function");
+	}
 
-				if (throwOnError && errors.length > 0) {
-					throw new AggregateError(
-						errors,
-						`${errors.length} deferred functions failed`,
-					);
-				}
+	validateOptionsObject(options, "Options");
+	validateScopeOptions(options ?? {});
+	validateSyncOptions(options ?? {});
 
-				return results;
-			}
+	return (...args) => {
+		const scope = new SyncDeferScope(options);
+		return scope.run((defer) => fn(defer, ...args));
+	};
+}
 
-			/**
-			 * Handles errors from all deferred functions
-			 * @param {{result: unknown, index: number}[]} resultWithIndex - Results with their indices
-			 * @param {Deque} deferQueue - The queue of deferred functions
-			 * @param {boolean} debug - Whether debug logging is enabled
-			 * @returns {Error[]}
-			 */
-			function handleErrors(resultWithIndex, deferQueue, debug) {
-				return resultWithIndex
-					.filter(({ result }) => result instanceof Error)
-					.map(({ result: err, index }) => {
-						const message = createErrorMessage(
-							deferQueue,
-							index,
-							"promise rejection",
-						);
-						if (debug) {
-							console.error(message, err);
-						}
-						if (err instanceof Error) {
-							const wrappedErr = new Error(`${message}: ${err.message}`);
-							wrappedErr.cause = err;
-							// Preserve original stack trace for debugging
-							if (err.stack) {
-								wrappedErr.stack = `${wrappedErr.stack}\nCaused by:\n${err.stack}`;
-							}
-							return wrappedErr;
-						}
-						return new Error(`${message}: ${String(err)}`);
-					});
-			}
+/**
+ * Wraps a class method so each call runs in its own DeferScope, with `defer` as the first argument
+ * @param {function(...any): unknown} method - The method to wrap
+ * @param {DeferOptions} options - Global options for deferred functions
+ * @returns {function(...any): Promise<any>} - The wrapped method, which preserves `this`
+ */
+function wrapMethod(method, options) {
+	return function (...args) {
+		const scope = new DeferScope(options);
+		return scope.run((defer) => method.call(this, defer, ...args));
+	};
+}
 
-			return { defer, run };
+/**
+ * Standard (TC39) method decorator that runs each invocation with its own defer stack.
+ * Use as `@deferrable` or, to pass options, `@deferrable({ timeout: 1000 })`.
+ * @param {(function(...any): unknown)|DeferOptions|null} [methodOrOptions] - The decorated method, or options for the deferred functions
+ * @param {ClassMethodDecoratorContext} [context] - The decorator context, when used without options
+ * @returns {any} - The wrapped method, or a decorator when called with options
+ */
+function deferrable(methodOrOptions, context) {
+	if (typeof methodOrOptions === "function") {
+		if (context?.kind !== "method") {
+			throw new TypeError("@deferrable can only decorate class methods");
 		}
+		return wrapMethod(methodOrOptions, {});
+	}
 
-		const { defer, run } = createDefer(options);
+	const options = methodOrOptions ?? {};
+	validateOptionsObject(options, "Options");
+	validateScopeOptions(options);
 
-		return run(() => fn(defer, ...args));
+	return (method, methodContext) => {
+		if (typeof method !== "function" || methodContext?.kind !== "method") {
+			throw new TypeError("@deferrable can only decorate class methods");
+		}
+		return wrapMethod(method, options);
 	};
 }
 
-export { withDefer };
+export { DeferScope, deferrable, withDefer, withDeferSync };
@@ -0,0 +1,102 @@
+import { describe, expect, it, vi } from "vitest";
+import { defer, withDefer } from "../src/ambient";
+
+// A data-access helper that registers its own cleanup without receiving defer
+const acquireConnection = async (logs, name) => {
+	await new Promise((resolve) => setTimeout(resolve, 1));
+	logs.push(`acquire ${name}`);
+	defer(() => logs.push(`release ${name}`));
+	return name;
+};
+
+describe("ambient defer", () => {
+	it("should let nested helpers register cleanup in the enclosing scope", async () => {
+		const logs = [];
+		const handler = withDefer(async () => {
+			await acquireConnection(logs, "primary");
+			await acquireConnection(logs, "replica");
+			logs.push("query");
+			return "done";
+		});
+
+		expect(await handler()).toBe("done");
+		expect(logs).toEqual([
+			"acquire primary",
+			"acquire replica",
+			"query",
+			"release replica",
+			"release primary",
+		]);
+	});
+
+	it("should still pass defer and the arguments to the main function", async () => {
+		const logs = [];
+		const handler = withDefer(async (scopeDefer, a, b) => {
+			scopeDefer(() => logs.push("explicit"));
+			defer(() => logs.push("ambient"));
+			return a + b;
+		});
+
+		expect(await handler(1, 2)).toBe(3);
+		expect(logs).toEqual(["ambient", "explicit"]);
+	});
+
+	it("should register into the innermost scope", async () => {
+		const logs = [];
+		const inner = withDefer(async () => {
+			defer(() => logs.push("inner cleanup"));
+		});
+		const outer = withDefer(async () => {
+			defer(() => logs.push("outer cleanup"));
+			await inner();
+			logs.push("after inner");
+		});
+
+		await outer();
+		expect(logs).toEqual(["inner cleanup", "after inner", "outer cleanup"]);
+	});
+
+	it("should keep concurrent invocations in separate scopes", async () => {
+		const released = [];
+		const handler = withDefer(async (_, id) => {
+			await new Promise((resolve) => setTimeout(resolve, id === 1 ? 20 : 5));
+			defer(() => released.push(id));
+			await new Promise((resolve) => setTimeout(resolve, 5));
+			expect(released).not.toContain(id);
+		});
+
+		await Promise.all([handler(1), handler(2)]);
+		expect(released.sort()).toEqual([1, 2]);
+	});
+
+	it("should apply the scope's options and return a handle", async () => {
+		const errorReporter = vi.fn();
+		let handle;
+		await withDefer(
+			async () => {
+				handle = defer(() => {
+					throw new Error("cleanup failed");
+				});
+			},
+			{ errorReporter },
+		)();
+
+		expect(errorReporter).toHaveBeenCalledTimes(1);
+		expect((await handle.promise).message).toBe("cleanup failed");
+	});
+
+	it("should throw a clear error outside of an ambient scope", () => {
+		expect(() => defer(() => {})).toThrow(
+			"defer() was called outside of an ambient scope",
+		);
+	});
+
+	it("should reject generator functions", () => {
+		expect(() => withDefer(function* () {})).toThrow(
+			"Generator functions cannot use an ambient scope",
+		);
+		expect(() => withDefer("not a function")).toThrow(
+			"First argument must be a function",
+		);
+	});
+});
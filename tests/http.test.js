@@ -0,0 +1,182 @@
+import { once } from "node:events";
+import { createServer } from "node:http";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { expressDefer, fastifyDefer, koaDefer } from "../src/http";
+
+const servers = [];
+
+// Starts a local server and returns its base URL
+const listen = async (handler) => {
+	const server = createServer(handler);
+	servers.push(server);
+	server.listen(0, "127.0.0.1");
+	await once(server, "listening");
+	return `http://127.0.0.1:${server.address().port}`;
+};
+
+afterEach(async () => {
+	for (const server of servers.splice(0)) {
+		server.closeAllConnections();
+		server.close();
+		await once(server, "close");
+	}
+});
+
+describe("expressDefer", () => {
+	it("should run deferreds after the response finishes, not when the handler returns", async () => {
+		const logs = [];
+		const middleware = expressDefer();
+		const url = await listen((req, res) => {
+			middleware(req, res, () => {
+				req.defer(() => logs.push("release connection"));
+				req.defer(() => logs.push("close file"));
+				setTimeout(() => {
+					logs.push("respond");
+					res.end("ok");
+				}, 10);
+				logs.push("handler returned");
+			});
+		});
+
+		const response = await fetch(url);
+		expect(await response.text()).toBe("ok");
+		await vi.waitFor(() => expect(logs).toHaveLength(4));
+
+		expect(logs).toEqual([
+			"handler returned",
+			"respond",
+			"close file",
+			"release connection",
+		]);
+	});
+
+	it("should run deferreds once when the client aborts", async () => {
+		const cleanup = vi.fn();
+		const middleware = expressDefer();
+		const url = await listen((req, res) => {
+			middleware(req, res, () => {
+				req.defer(cleanup);
+				res.write("partial");
+			});
+		});
+
+		const controller = new AbortController();
+		const response = await fetch(url, { signal: controller.signal });
+		controller.abort();
+		await expect(response.text()).rejects.toThrow();
+
+		await vi.waitFor(() => expect(cleanup).toHaveBeenCalledTimes(1));
+	});
+
+	it("should give each request its own defer stack", async () => {
+		const ran = [];
+		const middleware = expressDefer();
+		const url = await listen((req, res) => {
+			middleware(req, res, () => {
+				req.defer(() => ran.push(req.url));
+				res.end();
+			});
+		});
+
+		await Promise.all([fetch(`${url}/a`), fetch(`${url}/b`)]);
+		await vi.waitFor(() => expect(ran.sort()).toEqual(["/a", "/b"]));
+	});
+
+	it("should route deferred errors through errorReporter", async () => {
+		const errorReporter = vi.fn();
+		const middleware = expressDefer({ errorReporter, throwOnError: true });
+		const url = await listen((req, res) => {
+			middleware(req, res, () => {
+				req.defer(function flush() {
+					throw new Error("flush failed");
+				});
+				res.end();
+			});
+		});
+
+		await fetch(url);
+		await vi.waitFor(() => expect(errorReporter).toHaveBeenCalledTimes(1));
+		expect(errorReporter.mock.calls[0][1].message).toBe(
+			"error in deferred function 0 (flush): failed to execute: flush failed",
+		);
+	});
+
+	it("should validate options when the middleware is created", () => {
+		expect(() => expressDefer({ concurrency: 0 })).toThrow(
+			"concurrency must be a positive integer or Infinity",
+		);
+	});
+});
+
+describe("koaDefer", () => {
+	it("should add ctx.defer and run it after the response finishes", async () => {
+		const logs = [];
+		const middleware = koaDefer();
+		const url = await listen(async (req, res) => {
+			const ctx = { req, res };
+			await middleware(ctx, async () => {
+				ctx.defer(() => logs.push("cleanup"));
+				logs.push("downstream");
+			});
+			logs.push("respond");
+			res.end();
+		});
+
+		await fetch(url);
+		await vi.waitFor(() =>
+			expect(logs).toEqual(["downstream", "respond", "cleanup"]),
+		);
+	});
+
+	it("should validate options when the middleware is created", () => {
+		expect(() => koaDefer({ hooks: { onScopeEnd: true } })).toThrow(
+			"hooks.onScopeEnd must be a function",
+		);
+	});
+});
+
+describe("fastifyDefer", () => {
+	// Records what the plugin registers, standing in for a Fastify instance
+	const createFastify = () => {
+		const hooks = {};
+		return {
+			hooks,
+			decorateRequest: vi.fn(),
+			addHook: (name, hook) => {
+				hooks[name] = hook;
+			},
+		};
+	};
+
+	it("should add request.defer through an onRequest hook", async () => {
+		const fastify = createFastify();
+		const done = vi.fn();
+		fastifyDefer(fastify, {}, done);
+
+		expect(done).toHaveBeenCalledWith();
+		expect(fastify.decorateRequest).toHaveBeenCalledWith("defer", null);
+		expect(fastifyDefer[Symbol.for("skip-override")]).toBe(true);
+
+		const logs = [];
+		const url = await listen((req, res) => {
+			const request = { raw: req };
+			fastify.hooks.onRequest(request, { raw: res }, () => {
+				request.defer(() => logs.push("cleanup"));
+				logs.push("respond");
+				res.end();
+			});
+		});
+
+		await fetch(url);
+		await vi.waitFor(() => expect(logs).toEqual(["respond", "cleanup"]));
+	});
+
+	it("should fail registration with invalid options", () => {
+		const fastify = createFastify();
+		const done = vi.fn();
+		fastifyDefer(fastify, { report: "yes" }, done);
+
+		expect(done).toHaveBeenCalledWith(expect.any(TypeError));
+		expect(fastify.hooks.onRequest).toBeUndefined();
+	});
+});
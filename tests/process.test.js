@@ -0,0 +1,214 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// processDefer keeps process-wide state, so every test gets a fresh module instance
+const loadProcessDefer = async () => {
+	vi.resetModules();
+	const { processDefer } = await import("../src/process");
+	return processDefer;
+};
+
+describe("processDefer", () => {
+	let exit;
+	let consoleSpy;
+	const listenerCounts = () =>
+		["SIGINT", "SIGTERM", "beforeExit", "uncaughtException"].map((event) =>
+			process.listenerCount(event),
+		);
+	let initialCounts;
+	let initialListeners;
+
+	// Calls only the listeners added by the test, leaving the ones vitest installs alone
+	const emit = (event, ...args) => {
+		for (const listener of process.listeners(event)) {
+			if (!initialListeners.includes(listener)) {
+				listener(...args);
+			}
+		}
+	};
+
+	beforeEach(() => {
+		exit = vi.spyOn(process, "exit").mockImplementation(() => {});
+		consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+		initialCounts = listenerCounts();
+		initialListeners = [
+			"SIGINT",
+			"SIGTERM",
+			"beforeExit",
+			"uncaughtException",
+			"unhandledRejection",
+			"SIGUSR2",
+		].flatMap((event) => process.listeners(event));
+	});
+
+	afterEach(() => {
+		exit.mockRestore();
+		consoleSpy.mockRestore();
+		process.exitCode = undefined;
+	});
+
+	it("should not install listeners until the first deferred is registered", async () => {
+		await loadProcessDefer();
+		expect(listenerCounts()).toEqual(initialCounts);
+	});
+
+	it("should run deferreds in LIFO order on a signal and exit with 128 + its number", async () => {
+		const processDefer = await loadProcessDefer();
+		const logs = [];
+		processDefer(() => logs.push("first"));
+		processDefer(async () => {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			logs.push("second");
+		});
+
+		emit("SIGTERM", "SIGTERM");
+		await vi.waitFor(() => expect(exit).toHaveBeenCalledWith(143));
+
+		expect(logs).toEqual(["second", "first"]);
+		expect(listenerCounts()).toEqual(initialCounts);
+	});
+
+	it("should use the number of any configured signal in the exit code", async () => {
+		const processDefer = await loadProcessDefer();
+		processDefer.configure({ signals: ["SIGUSR2"] });
+		processDefer(() => {});
+
+		emit("SIGUSR2", "SIGUSR2");
+		await vi.waitFor(() => expect(exit).toHaveBeenCalledWith(140));
+	});
+
+	it("should run deferreds only once and force the exit on a second signal", async () => {
+		const processDefer = await loadProcessDefer();
+		let finish;
+		const cleanup = vi.fn(
+			() =>
+				new Promise((resolve) => {
+					finish = resolve;
+				}),
+		);
+		processDefer(cleanup);
+
+		emit("SIGINT", "SIGINT");
+		expect(exit).not.toHaveBeenCalled();
+		emit("SIGINT", "SIGINT");
+
+		expect(exit).toHaveBeenCalledWith(130);
+		expect(cleanup).toHaveBeenCalledTimes(1);
+		expect(() => processDefer(() => {})).toThrow(
+			"Cannot call processDefer() after shutdown has started.",
+		);
+		finish();
+		await processDefer.shutdown();
+		expect(listenerCounts()).toEqual(initialCounts);
+	});
+
+	it("should exit once the deadline passes", async () => {
+		const processDefer = await loadProcessDefer();
+		processDefer.configure({ deadline: 20 });
+		let finish;
+		processDefer(
+			() =>
+				new Promise((resolve) => {
+					finish = resolve;
+				}),
+		);
+
+		emit("SIGTERM", "SIGTERM");
+		await vi.waitFor(() => expect(exit).toHaveBeenCalledWith(143));
+		expect(consoleSpy).toHaveBeenCalledWith(
+			"processDefer: shutdown deadline of 20ms exceeded, exiting",
+		);
+		finish();
+		await processDefer.shutdown();
+	});
+
+	it("should run on uncaught errors and exit with code 1", async () => {
+		const processDefer = await loadProcessDefer();
+		const cleanup = vi.fn();
+		processDefer(cleanup);
+
+		const err = new Error("crash");
+		emit("uncaughtException", err);
+		await vi.waitFor(() => expect(exit).toHaveBeenCalledWith(1));
+
+		expect(cleanup).toHaveBeenCalledTimes(1);
+		expect(consoleSpy).toHaveBeenCalledWith(err);
+	});
+
+	it("should run on beforeExit without exiting the process itself", async () => {
+		const processDefer = await loadProcessDefer();
+		const cleanup = vi.fn();
+		processDefer(cleanup);
+
+		emit("beforeExit", 0);
+		await vi.waitFor(() => expect(cleanup).toHaveBeenCalled());
+		await new Promise((resolve) => setTimeout(resolve, 0));
+
+		expect(exit).not.toHaveBeenCalled();
+		expect(listenerCounts()).toEqual(initialCounts);
+	});
+
+	it("should exit with code 1 when an error goes uncaught during a beforeExit shutdown", async () => {
+		const processDefer = await loadProcessDefer();
+		processDefer(async () => {
+			emit("uncaughtException", new Error("timer crashed"));
+			await new Promise((resolve) => setTimeout(resolve, 10));
+		});
+
+		emit("beforeExit", 0);
+		await vi.waitFor(() => expect(exit).toHaveBeenCalledWith(1));
+		expect(exit).toHaveBeenCalledTimes(1);
+	});
+
+	it("should set a failing exit code when cleanup fails with throwOnError", async () => {
+		const processDefer = await loadProcessDefer();
+		processDefer.configure({ throwOnError: true });
+		processDefer(() => {
+			throw new Error("cleanup failed");
+		});
+
+		emit("beforeExit", 0);
+		await vi.waitFor(() => expect(process.exitCode).toBe(1));
+	});
+
+	it("should only listen to the configured events", async () => {
+		const processDefer = await loadProcessDefer();
+		processDefer.configure({
+			signals: ["SIGTERM"],
+			beforeExit: false,
+			uncaughtErrors: false,
+		});
+		processDefer(() => {});
+
+		const [sigint, sigterm, beforeExit, uncaught] = listenerCounts();
+		expect([sigint, sigterm, beforeExit, uncaught]).toEqual([
+			initialCounts[0],
+			initialCounts[1] + 1,
+			initialCounts[2],
+			initialCounts[3],
+		]);
+		await processDefer.shutdown(0);
+		expect(exit).toHaveBeenCalledWith(0);
+	});
+
+	it("should validate its configuration", async () => {
+		const processDefer = await loadProcessDefer();
+		expect(() => processDefer.configure({ signals: "SIGINT" })).toThrow(
+			"signals must be an array of signal names",
+		);
+		expect(() => processDefer.configure({ deadline: 0 })).toThrow(
+			"deadline must be a positive finite number or null",
+		);
+		expect(() => processDefer.configure({ concurrency: 0 })).toThrow(
+			"concurrency must be a positive integer",
+		);
+
+		const options = { deadline: 20 };
+		processDefer.configure(options);
+		options.concurrency = 0;
+		processDefer(() => {});
+		expect(() => processDefer.configure({})).toThrow(
+			"processDefer.configure() must be called before the first processDefer().",
+		);
+		await processDefer.shutdown();
+	});
+});
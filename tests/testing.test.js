@@ -0,0 +1,189 @@
+import { describe, expect, it, vi } from "vitest";
+import { createFakeDefer } from "../src/testing";
+
+// Code under test: registers cleanup through the defer it is given
+const openConnection = (defer, log) => {
+	defer(function releaseConnection() {
+		log.push("release connection");
+	});
+	defer(
+		async function closeCursor() {
+			log.push("close cursor");
+		},
+		{ timeout: 500 },
+	);
+};
+
+describe("createFakeDefer", () => {
+	it("should record each registration with its name, options and order", () => {
+		const fake = createFakeDefer();
+		openConnection(fake.defer, []);
+		fake.defer({ [Symbol.dispose]() {} });
+
+		expect(fake.registrations).toEqual([
+			{
+				name: "releaseConnection",
+				options: {},
+				order: 0,
+				status: "pending",
+				error: undefined,
+			},
+			{
+				name: "closeCursor",
+				options: { timeout: 500 },
+				order: 1,
+				status: "pending",
+				error: undefined,
+			},
+			{
+				name: "anonymous",
+				options: {},
+				order: 2,
+				status: "pending",
+				error: undefined,
+			},
+		]);
+	});
+
+	it("should run the queue one deferred at a time in LIFO order", async () => {
+		const log = [];
+		const fake = createFakeDefer();
+		openConnection(fake.defer, log);
+
+		const next = await fake.runNext();
+		expect(next).toMatchObject({ name: "closeCursor", status: "fulfilled" });
+		expect(log).toEqual(["close cursor"]);
+
+		await fake.runAll();
+		expect(log).toEqual(["close cursor", "release connection"]);
+		expect(await fake.runNext()).toBeUndefined();
+	});
+
+	it("should assert that every registered cleanup ran", async () => {
+		const fake = createFakeDefer();
+		openConnection(fake.defer, []);
+		await fake.runNext();
+
+		expect(() => fake.assertAllRan()).toThrow(
+			"1 deferred functions did not finish running: releaseConnection (#0)",
+		);
+		await fake.runAll();
+		expect(() => fake.assertAllRan()).not.toThrow();
+	});
+
+	it("should not count cancelled deferreds as missing", async () => {
+		const fake = createFakeDefer();
+		fake.defer(() => {}).cancel();
+		await fake.runAll();
+
+		expect(fake.registrations[0].status).toBe("cancelled");
+		expect(() => fake.assertAllRan()).not.toThrow();
+	});
+
+	it("should track cancellations that are restored", async () => {
+		const cleanup = vi.fn();
+		const fake = createFakeDefer();
+		const handle = fake.defer(cleanup);
+		handle.cancel();
+		handle.restore();
+		expect(fake.registrations[0].status).toBe("pending");
+
+		await fake.runAll();
+		expect(cleanup).toHaveBeenCalledTimes(1);
+		expect(fake.registrations[0].status).toBe("fulfilled");
+	});
+
+	it("should simulate failures of specific deferreds without running them", async () => {
+		const log = [];
+		const reported = [];
+		const fake = createFakeDefer({
+			errorReporter: (_, { message }) => reported.push(message),
+		});
+		const error = new Error("connection reset");
+		fake.simulateFailure("releaseConnection", error);
+		openConnection(fake.defer, log);
+		await fake.runAll();
+
+		expect(log).toEqual(["close cursor"]);
+		expect(fake.registrations.map(({ status }) => status)).toEqual([
+			"rejected",
+			"fulfilled",
+		]);
+		expect(fake.registrations[0].error).toBe(error);
+		expect(reported).toEqual([
+			"error in deferred function 1 (releaseConnection): failed to execute: connection reset",
+		]);
+	});
+
+	it("should simulate timeouts of specific deferreds", async () => {
+		const log = [];
+		const reported = [];
+		const fake = createFakeDefer({
+			errorReporter: (_, { message }) => reported.push(message),
+		});
+		fake.simulateTimeout(1);
+		openConnection(fake.defer, log);
+		await fake.runAll();
+
+		expect(log).toEqual(["release connection"]);
+		expect(fake.registrations[1]).toMatchObject({
+			name: "closeCursor",
+			status: "timedOut",
+		});
+		expect(reported).toEqual([
+			"error in deferred function 0 (closeCursor): timed out: timeout exceeded",
+		]);
+	});
+
+	it("should simulate timeouts of deferreds registered earlier", async () => {
+		const log = [];
+		const fake = createFakeDefer();
+		openConnection(fake.defer, log);
+		fake.simulateTimeout("closeCursor");
+		await fake.runAll();
+
+		expect(log).toEqual(["release connection"]);
+		expect(fake.registrations[1].status).toBe("timedOut");
+	});
+
+	it("should record deferreds skipped by totalTimeout", async () => {
+		const fake = createFakeDefer({ totalTimeout: 10, errorReporter: () => {} });
+		fake.defer(function flush() {});
+		fake.defer(() => new Promise(() => {}));
+		await fake.runAll();
+
+		expect(fake.registrations.map(({ status }) => status)).toEqual([
+			"skipped",
+			"timedOut",
+		]);
+		expect(fake.registrations[0].error.message).toBe("deadline exceeded");
+		expect(() => fake.assertAllRan()).not.toThrow();
+	});
+
+	it("should record real timeouts and failures", async () => {
+		const fake = createFakeDefer();
+		fake.defer(() => new Promise(() => {}), { timeout: 10 });
+		fake.defer(() => {
+			throw new Error("flush failed");
+		});
+		await fake.runAll();
+
+		expect(fake.registrations.map(({ status }) => status)).toEqual([
+			"timedOut",
+			"rejected",
+		]);
+		expect(fake.registrations[1].error.message).toBe("flush failed");
+	});
+
+	it("should select deferreds with a predicate", async () => {
+		const fake = createFakeDefer();
+		fake.simulateFailure(({ options }) => options.timeout === 500);
+		openConnection(fake.defer, []);
+		await fake.runAll();
+
+		expect(fake.registrations[1]).toMatchObject({
+			status: "rejected",
+			error: new Error("simulated failure"),
+		});
+	});
+});
@@ -1,5 +1,13 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { setFlagsFromString } from "node:v8";
+import { runInNewContext } from "node:vm";
 import { describe, expect, it, vi } from "vitest";
-import { withDefer } from "../src/with-defer";
+import {
+	DeferScope,
+	deferrable,
+	withDefer,
+	withDeferSync,
+} from "../src/with-defer";
 
 describe("withDefer", () => {
 	it("should execute a single synchronous deferred function", async () => {
@@ -1852,3 +1860,2989 @@ describe("Missing Critical Tests", () => {
 		await example();
 	});
 });
+
+describe("recover", () => {
+	it("should let a deferred recover the main function's error", async () => {
+		let recovered;
+
+		const example = withDefer(async (defer) => {
+			defer(({ recover }) => {
+				recovered = recover();
+			});
+
+			throw new Error("Main function error");
+		});
+
+		await expect(example()).resolves.toBeUndefined();
+		expect(recovered).toBeInstanceOf(Error);
+		expect(recovered.message).toBe("Main function error");
+	});
+
+	it("should return undefined when the main function succeeds", async () => {
+		let recovered = "not called";
+
+		const example = withDefer(async (defer) => {
+			defer(({ recover }) => {
+				recovered = recover();
+			});
+			return "ok";
+		});
+
+		await expect(example()).resolves.toBe("ok");
+		expect(recovered).toBeUndefined();
+	});
+
+	it("should still reject when no deferred calls recover", async () => {
+		const seen = [];
+
+		const example = withDefer(async (defer) => {
+			defer(() => {
+				seen.push("cleanup");
+			});
+
+			throw new Error("Main function error");
+		});
+
+		await expect(example()).rejects.toThrow("Main function error");
+		expect(seen).toEqual(["cleanup"]);
+	});
+
+	it("should only hand the error to the first deferred that recovers it", async () => {
+		const recovered = [];
+
+		const example = withDefer(async (defer) => {
+			defer(({ recover }) => {
+				recovered.push(recover());
+			});
+			defer(({ recover }) => {
+				recovered.push(recover());
+			});
+
+			throw new Error("boom");
+		});
+
+		await example();
+		expect(recovered).toHaveLength(2);
+		expect(recovered[0].message).toBe("boom");
+		expect(recovered[1]).toBeUndefined();
+	});
+
+	it("should recover non-Error values thrown by the main function", async () => {
+		let recovered;
+
+		const example = withDefer((defer) => {
+			defer(({ recover }) => {
+				recovered = recover();
+			});
+
+			throw "string panic";
+		});
+
+		await example();
+		expect(recovered).toBe("string panic");
+	});
+
+	it("should still throw deferred failures with throwOnError after recovering", async () => {
+		const example = withDefer(
+			async (defer) => {
+				defer(() => {
+					throw new Error("cleanup failed");
+				});
+				defer(({ recover }) => {
+					recover();
+				});
+
+				throw new Error("Main function error");
+			},
+			{ throwOnError: true },
+		);
+
+		await expect(example()).rejects.toThrow("1 deferred functions failed");
+	});
+});
+
+describe("getResult / setResult", () => {
+	it("should expose the main function's return value to deferreds", async () => {
+		let seen;
+
+		const example = withDefer(async (defer) => {
+			defer(({ getResult }) => {
+				seen = getResult();
+			});
+			return { userId: 123 };
+		});
+
+		await expect(example()).resolves.toEqual({ userId: 123 });
+		expect(seen).toEqual({ userId: 123 });
+	});
+
+	it("should resolve with the value set by a deferred", async () => {
+		const example = withDefer(async (defer) => {
+			defer(({ getResult, setResult }) => {
+				setResult({ ...getResult(), closedCleanly: true });
+			});
+			return { userId: 123 };
+		});
+
+		await expect(example()).resolves.toEqual({
+			userId: 123,
+			closedCleanly: true,
+		});
+	});
+
+	it("should pass replaced values along the LIFO chain", async () => {
+		const example = withDefer(async (defer) => {
+			defer(({ getResult, setResult }) => {
+				setResult(getResult() * 10);
+			});
+			defer(({ getResult, setResult }) => {
+				setResult(getResult() + 1);
+			});
+			return 1;
+		});
+
+		await expect(example()).resolves.toBe(20);
+	});
+
+	it("should combine with recover to produce a fallback value", async () => {
+		const example = withDefer(async (defer) => {
+			defer(({ recover, setResult }) => {
+				const err = recover();
+				if (err) {
+					setResult({ status: 500, message: err.message });
+				}
+			});
+
+			throw new Error("database unavailable");
+		});
+
+		await expect(example()).resolves.toEqual({
+			status: 500,
+			message: "database unavailable",
+		});
+	});
+
+	it("should not stop an unrecovered error from propagating", async () => {
+		const example = withDefer(async (defer) => {
+			defer(({ setResult }) => {
+				setResult("ignored");
+			});
+
+			throw new Error("Main function error");
+		});
+
+		await expect(example()).rejects.toThrow("Main function error");
+	});
+});
+
+describe("AbortSignal", () => {
+	it("should pass an AbortSignal to each deferred callback", async () => {
+		const signals = [];
+
+		const example = withDefer(async (defer) => {
+			defer(({ signal }) => {
+				signals.push(signal);
+			});
+			defer(({ signal }) => {
+				signals.push(signal);
+			});
+		});
+
+		await example();
+		expect(signals).toHaveLength(2);
+		expect(signals[0]).toBeInstanceOf(AbortSignal);
+		expect(signals[0]).not.toBe(signals[1]);
+	});
+
+	it("should abort the signal with the timeout error when the timeout fires", async () => {
+		const errorReporter = vi.fn();
+		let abortReason;
+
+		const example = withDefer(
+			async (defer) => {
+				defer(
+					({ signal }) =>
+						new Promise((resolve) => {
+							signal.addEventListener("abort", () => {
+								abortReason = signal.reason;
+								resolve();
+							});
+						}),
+					{ timeout: 20 },
+				);
+			},
+			{ errorReporter },
+		);
+
+		await example();
+		expect(abortReason).toBeInstanceOf(Error);
+		expect(abortReason.message).toBe("timeout exceeded");
+		expect(errorReporter).toHaveBeenCalledWith(
+			abortReason,
+			expect.objectContaining({
+				message: expect.stringContaining("timed out"),
+			}),
+		);
+	});
+
+	it("should not abort the signal while the callback is still running", async () => {
+		let abortedDuringRun;
+
+		const example = withDefer(async (defer) => {
+			defer(
+				async ({ signal }) => {
+					await new Promise((resolve) => setTimeout(resolve, 10));
+					abortedDuringRun = signal.aborted;
+				},
+				{ timeout: 1000 },
+			);
+		});
+
+		await example();
+		expect(abortedDuringRun).toBe(false);
+	});
+
+	it("should abort remaining signals when the scope is torn down", async () => {
+		let signal;
+
+		const example = withDefer(async (defer) => {
+			defer((context) => {
+				signal = context.signal;
+			});
+		});
+
+		await example();
+		expect(signal.aborted).toBe(true);
+		expect(signal.reason.message).toBe("defer scope closed");
+	});
+
+	it("should not treat errors named like timeouts as timeouts", async () => {
+		const errorReporter = vi.fn();
+
+		const example = withDefer(
+			async (defer) => {
+				defer(
+					() => {
+						throw new Error("timeout exceeded");
+					},
+					{ timeout: 1000 },
+				);
+			},
+			{ errorReporter },
+		);
+
+		await example();
+		expect(errorReporter.mock.calls[0][1].message).toContain(
+			"failed to execute",
+		);
+	});
+});
+
+describe("Explicit Resource Management", () => {
+	it("should dispose resources passed to defer()", async () => {
+		const logs = [];
+		const resource = {
+			[Symbol.dispose]() {
+				logs.push("sync dispose");
+			},
+		};
+		const asyncResource = {
+			async [Symbol.asyncDispose]() {
+				logs.push("async dispose");
+			},
+		};
+
+		const example = withDefer(async (defer) => {
+			defer(resource);
+			defer(asyncResource);
+		});
+
+		await example();
+		expect(logs).toEqual(["async dispose", "sync dispose"]);
+	});
+
+	it("should prefer Symbol.asyncDispose over Symbol.dispose", async () => {
+		const logs = [];
+		const resource = {
+			[Symbol.dispose]() {
+				logs.push("sync");
+			},
+			async [Symbol.asyncDispose]() {
+				logs.push("async");
+			},
+		};
+
+		await withDefer(async (defer) => {
+			defer(resource);
+		})();
+
+		expect(logs).toEqual(["async"]);
+	});
+
+	it("should use the resource's class name in error messages", async () => {
+		const errorReporter = vi.fn();
+		class Connection {
+			[Symbol.dispose]() {
+				throw new Error("close failed");
+			}
+		}
+
+		await withDefer(
+			async (defer) => {
+				defer(new Connection());
+			},
+			{ errorReporter },
+		)();
+
+		expect(errorReporter.mock.calls[0][1].message).toContain("(Connection)");
+	});
+
+	it("should run the deferred early when its handle is disposed", async () => {
+		const logs = [];
+
+		const example = withDefer(async (defer) => {
+			defer(() => logs.push("scope cleanup"));
+			// Equivalent to `await using handle = defer(...)` inside a block
+			const handle = defer(() => logs.push("file closed"));
+			try {
+				logs.push("using file");
+			} finally {
+				await handle[Symbol.asyncDispose]();
+			}
+			logs.push("after block");
+		});
+
+		await example();
+		expect(logs).toEqual([
+			"using file",
+			"file closed",
+			"after block",
+			"scope cleanup",
+		]);
+	});
+
+	it("should not run a disposed handle's deferred a second time", async () => {
+		const callback = vi.fn();
+
+		const example = withDefer(async (defer) => {
+			const handle = defer(callback);
+			await handle[Symbol.asyncDispose]();
+			await handle[Symbol.asyncDispose]();
+		});
+
+		await example();
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	it("should move pending deferreds into a disposable stack", async () => {
+		const logs = [];
+
+		const open = withDefer(async (defer) => {
+			defer(() => logs.push("close a"));
+			defer(() => logs.push("close b"));
+			return defer.move();
+		});
+
+		const stack = await open();
+		expect(logs).toEqual([]);
+		expect(stack.disposed).toBe(false);
+
+		await stack.disposeAsync();
+		expect(logs).toEqual(["close b", "close a"]);
+		expect(stack.disposed).toBe(true);
+	});
+
+	it("should support the AsyncDisposableStack methods on a moved stack", async () => {
+		const logs = [];
+		const stack = await withDefer(async (defer) => defer.move())();
+
+		const resource = stack.use({
+			[Symbol.dispose]() {
+				logs.push("use");
+			},
+		});
+		expect(stack.adopt("value", (value) => logs.push(`adopt ${value}`))).toBe(
+			"value",
+		);
+		stack.defer(() => logs.push("defer"));
+		expect(stack.use(null)).toBeNull();
+		expect(resource).toBeDefined();
+
+		const moved = stack.move();
+		expect(stack.disposed).toBe(true);
+		await stack.disposeAsync();
+		expect(logs).toEqual([]);
+
+		await moved[Symbol.asyncDispose]();
+		expect(logs).toEqual(["defer", "adopt value", "use"]);
+		expect(moved.disposed).toBe(true);
+	});
+
+	it("should let a scope adopt a disposable stack", async () => {
+		const logs = [];
+
+		const example = withDefer(async (defer) => {
+			const inner = await withDefer(async (innerDefer) => {
+				innerDefer(() => logs.push("inner resource"));
+				return innerDefer.move();
+			})();
+			defer(inner);
+			defer(() => logs.push("outer resource"));
+
+			const stack = await withDefer(async (other) => {
+				other(() => logs.push("block resource"));
+				return other.move();
+			})();
+			await stack[Symbol.asyncDispose]();
+		});
+
+		await example();
+		expect(logs).toEqual([
+			"block resource",
+			"outer resource",
+			"inner resource",
+		]);
+	});
+
+	it("should reject non-disposable objects", async () => {
+		await withDefer(async (defer) => {
+			expect(() => defer({ close() {} })).toThrow(
+				"callback must be a function or a disposable object",
+			);
+		})();
+	});
+});
+
+describe("DeferScope", () => {
+	it("should execute deferreds in LIFO order when closed", async () => {
+		const logs = [];
+		const scope = new DeferScope();
+
+		scope.defer(() => logs.push("first"));
+		scope.defer(() => logs.push("second"));
+		expect(logs).toEqual([]);
+
+		await scope.close();
+		expect(logs).toEqual(["second", "first"]);
+	});
+
+	it("should keep a detached defer bound to the scope", async () => {
+		const logs = [];
+		const { defer } = new DeferScope();
+		const scope = new DeferScope();
+		const { defer: scopedDefer } = scope;
+
+		defer(() => logs.push("other scope"));
+		scopedDefer(() => logs.push("scoped"));
+
+		await scope.close();
+		expect(logs).toEqual(["scoped"]);
+	});
+
+	it("should dispose the source on move(), but not on defer.move()", async () => {
+		const logs = [];
+		const scope = new DeferScope();
+		scope.defer(() => logs.push("moved"));
+		const moved = scope.move();
+		expect(scope.disposed).toBe(true);
+		expect(() => scope.defer(() => {})).toThrow(
+			"Cannot call defer() after the scope has been closed.",
+		);
+
+		await withDefer(async (defer) => {
+			const stack = defer.move();
+			defer(() => logs.push("still open"));
+			defer(stack);
+		})();
+		await moved.close();
+		expect(logs).toEqual(["still open", "moved"]);
+	});
+
+	it("should validate options without creating a scope", () => {
+		const onScopeStart = vi.fn();
+		DeferScope.validateOptions({ hooks: { onScopeStart } });
+		expect(onScopeStart).not.toHaveBeenCalled();
+		expect(() => DeferScope.validateOptions({ phases: "close" })).toThrow(
+			TypeError,
+		);
+		expect(() => DeferScope.validateOptions("fast")).toThrow(
+			"Options must be an object or null",
+		);
+	});
+
+	it("should only execute deferreds once across repeated closes", async () => {
+		const callback = vi.fn();
+		const scope = new DeferScope();
+		scope.defer(callback);
+
+		await Promise.all([scope.close(), scope.close()]);
+		await scope.close();
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(scope.disposed).toBe(true);
+	});
+
+	it("should reject defer() after the scope has been closed", async () => {
+		const scope = new DeferScope();
+		await scope.close();
+
+		expect(() => scope.defer(() => {})).toThrow(
+			"Cannot call defer() after the scope has been closed",
+		);
+	});
+
+	it("should run a function and close the scope afterwards", async () => {
+		const logs = [];
+		const scope = new DeferScope();
+		scope.defer(() => logs.push("registered before run"));
+
+		const result = await scope.run((defer) => {
+			defer(() => logs.push("registered in run"));
+			return "done";
+		});
+
+		expect(result).toBe("done");
+		expect(logs).toEqual(["registered in run", "registered before run"]);
+		await expect(scope.run(() => {})).rejects.toThrow(
+			"Cannot call run() after the scope has been closed",
+		);
+	});
+
+	it("should apply scope options to its deferreds", async () => {
+		const scope = new DeferScope({ throwOnError: true });
+		scope.defer(() => {
+			throw new Error("cleanup failed");
+		});
+
+		await expect(scope.close()).rejects.toThrow("1 deferred functions failed");
+	});
+
+	it("should validate its options", () => {
+		expect(() => new DeferScope("invalid")).toThrow(
+			"Options must be an object or null",
+		);
+	});
+
+	it("should be usable as a test fixture across hooks", async () => {
+		const connection = { open: true };
+		const scope = new DeferScope();
+
+		// beforeEach
+		scope.defer(() => {
+			connection.open = false;
+		});
+		// test body
+		expect(connection.open).toBe(true);
+		// afterEach
+		await scope[Symbol.asyncDispose]();
+		expect(connection.open).toBe(false);
+	});
+});
+
+describe("deferrable", () => {
+	// Decorator syntax is not transpiled here, so apply decorators the way the runtime does
+	const decorate = (Class, name, decorator) => {
+		Class.prototype[name] = decorator(Class.prototype[name], {
+			kind: "method",
+			name,
+		});
+	};
+
+	it("should inject defer and preserve the receiver", async () => {
+		const logs = [];
+		class Service {
+			name = "orders";
+
+			async save(defer, id) {
+				defer(() => logs.push(`released ${this.name}`));
+				logs.push(`saving ${id}`);
+				return `${this.name}:${id}`;
+			}
+		}
+		decorate(Service, "save", deferrable);
+
+		const result = await new Service().save("order-123");
+		expect(result).toBe("orders:order-123");
+		expect(logs).toEqual(["saving order-123", "released orders"]);
+	});
+
+	it("should give each invocation its own defer stack", async () => {
+		const logs = [];
+		class Worker {
+			async work(defer, id, delay) {
+				defer(() => logs.push(`cleanup ${id}`));
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+		decorate(Worker, "work", deferrable);
+
+		const worker = new Worker();
+		await Promise.all([worker.work("slow", 30), worker.work("fast", 5)]);
+		expect(logs).toEqual(["cleanup fast", "cleanup slow"]);
+	});
+
+	it("should accept options when called as a decorator factory", async () => {
+		class Service {
+			async run(defer) {
+				defer(() => {
+					throw new Error("cleanup failed");
+				});
+			}
+		}
+		decorate(Service, "run", deferrable({ throwOnError: true }));
+
+		await expect(new Service().run()).rejects.toThrow(
+			"1 deferred functions failed",
+		);
+	});
+
+	it("should support recover inside decorated methods", async () => {
+		class Handler {
+			async handle(defer) {
+				defer(({ recover, setResult }) => {
+					if (recover()) {
+						setResult("fallback");
+					}
+				});
+				throw new Error("boom");
+			}
+		}
+		decorate(Handler, "handle", deferrable());
+
+		await expect(new Handler().handle()).resolves.toBe("fallback");
+	});
+
+	it("should reject non-method targets and invalid options", () => {
+		expect(() => deferrable(() => {}, { kind: "field", name: "x" })).toThrow(
+			"@deferrable can only decorate class methods",
+		);
+		expect(() => deferrable({})(() => {}, { kind: "getter" })).toThrow(
+			"@deferrable can only decorate class methods",
+		);
+		expect(() => deferrable("invalid")).toThrow(
+			"Options must be an object or null",
+		);
+		expect(() => deferrable({ concurrency: 0 })).toThrow(
+			"concurrency must be a positive integer or Infinity",
+		);
+	});
+});
+
+describe("concurrency", () => {
+	const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	it("should run deferreds sequentially by default", async () => {
+		let running = 0;
+		let maxRunning = 0;
+
+		await withDefer(async (defer) => {
+			for (let i = 0; i < 4; i++) {
+				defer(async () => {
+					running++;
+					maxRunning = Math.max(maxRunning, running);
+					await delay(5);
+					running--;
+				});
+			}
+		})();
+
+		expect(maxRunning).toBe(1);
+	});
+
+	it("should bound parallelism and start deferreds in LIFO order", async () => {
+		const started = [];
+		let running = 0;
+		let maxRunning = 0;
+
+		await withDefer(
+			async (defer) => {
+				for (let i = 0; i < 6; i++) {
+					defer(async () => {
+						started.push(i);
+						running++;
+						maxRunning = Math.max(maxRunning, running);
+						await delay(10);
+						running--;
+					});
+				}
+			},
+			{ concurrency: 2 },
+		)();
+
+		expect(maxRunning).toBe(2);
+		expect(started).toEqual([5, 4, 3, 2, 1, 0]);
+	});
+
+	it("should start all deferreds together with Infinity", async () => {
+		const start = Date.now();
+
+		await withDefer(
+			async (defer) => {
+				for (let i = 0; i < 5; i++) {
+					defer(() => delay(40));
+				}
+			},
+			{ concurrency: Number.POSITIVE_INFINITY },
+		)();
+
+		expect(Date.now() - start).toBeLessThan(150);
+	});
+
+	it("should keep errors in LIFO order regardless of completion order", async () => {
+		let caught;
+
+		try {
+			await withDefer(
+				async (defer) => {
+					defer(async () => {
+						await delay(5);
+						throw new Error("registered first");
+					});
+					defer(async () => {
+						await delay(30);
+						throw new Error("registered second");
+					});
+				},
+				{ concurrency: 2, throwOnError: true },
+			)();
+		} catch (err) {
+			caught = err;
+		}
+
+		expect(caught).toBeInstanceOf(AggregateError);
+		expect(caught.errors.map((err) => err.cause.message)).toEqual([
+			"registered second",
+			"registered first",
+		]);
+		expect(caught.errors[0].message).toContain("deferred function 0");
+	});
+
+	it("should apply timeouts to each concurrent deferred", async () => {
+		const errorReporter = vi.fn();
+
+		await withDefer(
+			async (defer) => {
+				defer(() => delay(100), { timeout: 10 });
+				defer(() => delay(5), { timeout: 50 });
+			},
+			{ concurrency: 2, errorReporter },
+		)();
+
+		expect(errorReporter).toHaveBeenCalledTimes(1);
+		expect(errorReporter.mock.calls[0][1].index).toBe(1);
+	});
+
+	it("should validate the concurrency option", () => {
+		for (const concurrency of [0, -1, 1.5, "2", Number.NaN]) {
+			expect(() => new DeferScope({ concurrency })).toThrow(
+				"concurrency must be a positive integer or Infinity",
+			);
+		}
+	});
+});
+
+describe("phases", () => {
+	it("should run phases in the configured order regardless of registration order", async () => {
+		const logs = [];
+
+		await withDefer(
+			async (defer) => {
+				defer(() => logs.push("release lock"), { phase: "release" });
+				defer(() => logs.push("close socket"), { phase: "close" });
+				defer(() => logs.push("flush buffer"), { phase: "flush" });
+				defer(() => logs.push("release pool"), { phase: "release" });
+			},
+			{ phases: ["flush", "close", "release"] },
+		)();
+
+		expect(logs).toEqual([
+			"flush buffer",
+			"close socket",
+			"release pool",
+			"release lock",
+		]);
+	});
+
+	it("should run unphased deferreds first unless the default phase is listed", async () => {
+		const logs = [];
+
+		await withDefer(
+			async (defer) => {
+				defer(() => logs.push("close"), { phase: "close" });
+				defer(() => logs.push("default"));
+			},
+			{ phases: ["close"] },
+		)();
+
+		await withDefer(
+			async (defer) => {
+				defer(() => logs.push("default"));
+				defer(() => logs.push("flush"), { phase: "flush" });
+			},
+			{ phases: ["flush", "default"] },
+		)();
+
+		expect(logs).toEqual(["default", "close", "flush", "default"]);
+	});
+
+	it("should support FIFO order within a phase", async () => {
+		const logs = [];
+
+		await withDefer(
+			async (defer) => {
+				defer(() => logs.push("first"), { phase: "close" });
+				defer(() => logs.push("second"), { phase: "close" });
+				defer(() => logs.push("third"), { phase: "close" });
+			},
+			{ phases: [{ name: "close", order: "fifo" }] },
+		)();
+
+		expect(logs).toEqual(["first", "second", "third"]);
+	});
+
+	it("should finish a phase before starting the next when running concurrently", async () => {
+		const logs = [];
+
+		await withDefer(
+			async (defer) => {
+				defer(
+					async () => {
+						await new Promise((resolve) => setTimeout(resolve, 20));
+						logs.push("flush slow");
+					},
+					{ phase: "flush" },
+				);
+				defer(() => logs.push("flush fast"), { phase: "flush" });
+				defer(() => logs.push("close"), { phase: "close" });
+			},
+			{ phases: ["flush", "close"], concurrency: 4 },
+		)();
+
+		expect(logs).toEqual(["flush fast", "flush slow", "close"]);
+	});
+
+	it("should report indices in execution order", async () => {
+		const errorReporter = vi.fn();
+
+		await withDefer(
+			async (defer) => {
+				defer(
+					function releaseLock() {
+						throw new Error("lock lost");
+					},
+					{ phase: "release" },
+				);
+				defer(() => {}, { phase: "flush" });
+			},
+			{ phases: ["flush", "release"], errorReporter },
+		)();
+
+		expect(errorReporter.mock.calls[0][1].index).toBe(1);
+		expect(errorReporter.mock.calls[0][1].message).toContain(
+			"deferred function 1 (releaseLock)",
+		);
+	});
+
+	it("should reject unknown phases and invalid phase definitions", async () => {
+		await withDefer(
+			async (defer) => {
+				expect(() => defer(() => {}, { phase: "missing" })).toThrow(
+					'Unknown phase "missing"',
+				);
+				expect(() => defer(() => {}, { phase: 1 })).toThrow(
+					"phase must be a string",
+				);
+			},
+			{ phases: ["close"] },
+		)();
+
+		expect(() => withDefer(() => {}, { phases: "close" })).toThrow(
+			"phases must be an array",
+		);
+		expect(() => withDefer(() => {}, { phases: ["a", "a"] })).toThrow(
+			"phase names must be unique",
+		);
+		expect(() =>
+			withDefer(() => {}, { phases: [{ name: "a", order: "random" }] }),
+		).toThrow('phase order must be "lifo" or "fifo"');
+		expect(() => withDefer(() => {}, { phases: [{}] })).toThrow(
+			"phase name must be a non-empty string",
+		);
+	});
+});
+
+describe("retry", () => {
+	it("should retry a failing deferred until it succeeds", async () => {
+		let calls = 0;
+		let handle;
+
+		await withDefer(async (defer) => {
+			handle = defer(
+				() => {
+					calls++;
+					if (calls < 3) {
+						throw new Error(`flaky ${calls}`);
+					}
+					return "released";
+				},
+				{ retry: { attempts: 3 } },
+			);
+		})();
+
+		expect(calls).toBe(3);
+		await expect(handle.promise).resolves.toBe("released");
+	});
+
+	it("should report each failed attempt with its attempt number", async () => {
+		const errorReporter = vi.fn();
+
+		await withDefer(
+			async (defer) => {
+				defer(
+					() => {
+						throw new Error("lease still held");
+					},
+					{ retry: { attempts: 2 } },
+				);
+			},
+			{ errorReporter },
+		)();
+
+		expect(errorReporter).toHaveBeenCalledTimes(2);
+		expect(
+			errorReporter.mock.calls.map(([, context]) => context.attempt),
+		).toEqual([1, 2]);
+		expect(errorReporter.mock.calls[1][1].message).toContain(
+			"failed to execute on attempt 2 of 2",
+		);
+	});
+
+	it("should pass attempt 1 to errorReporter without a retry policy", async () => {
+		const errorReporter = vi.fn();
+
+		await withDefer(
+			async (defer) => {
+				defer(() => {
+					throw new Error("failed");
+				});
+			},
+			{ errorReporter },
+		)();
+
+		expect(errorReporter.mock.calls[0][1].attempt).toBe(1);
+		expect(errorReporter.mock.calls[0][1].message).not.toContain("attempt");
+	});
+
+	it("should apply a global retry policy and let deferreds override it", async () => {
+		const calls = { global: 0, local: 0 };
+
+		await withDefer(
+			async (defer) => {
+				defer(() => {
+					calls.global++;
+					throw new Error("global");
+				});
+				defer(
+					() => {
+						calls.local++;
+						throw new Error("local");
+					},
+					{ retry: null },
+				);
+			},
+			{ retry: { attempts: 3 } },
+		)();
+
+		expect(calls).toEqual({ global: 3, local: 1 });
+	});
+
+	it("should stop retrying when shouldRetry returns false", async () => {
+		const shouldRetry = vi.fn((err) => err.message !== "permanent");
+		let calls = 0;
+
+		await withDefer(async (defer) => {
+			defer(
+				() => {
+					calls++;
+					throw new Error(calls === 1 ? "transient" : "permanent");
+				},
+				{ retry: { attempts: 5, shouldRetry } },
+			);
+		})();
+
+		expect(calls).toBe(2);
+		expect(shouldRetry).toHaveBeenLastCalledWith(expect.any(Error), 2);
+	});
+
+	it("should apply the timeout to each attempt with a fresh signal", async () => {
+		const signals = [];
+
+		await withDefer(async (defer) => {
+			defer(
+				({ signal }) => {
+					signals.push(signal);
+					return new Promise((resolve) => {
+						if (signals.length === 2) {
+							resolve();
+						} else {
+							signal.addEventListener("abort", resolve);
+						}
+					});
+				},
+				{ timeout: 20, retry: { attempts: 2 } },
+			);
+		})();
+
+		expect(signals).toHaveLength(2);
+		expect(signals[0].reason.message).toBe("timeout exceeded");
+		expect(signals[1].reason.message).toBe("defer scope closed");
+	});
+
+	it("should wait with exponential backoff capped by maxDelay", async () => {
+		vi.useFakeTimers();
+		try {
+			const times = [];
+			const example = withDefer(async (defer) => {
+				defer(
+					() => {
+						times.push(Date.now());
+						throw new Error("flaky");
+					},
+					{
+						retry: {
+							attempts: 4,
+							backoff: "exponential",
+							delay: 100,
+							maxDelay: 300,
+						},
+					},
+				);
+			});
+
+			const promise = example();
+			await vi.runAllTimersAsync();
+			await promise;
+
+			const gaps = times.slice(1).map((time, i) => time - times[i]);
+			expect(gaps).toEqual([100, 200, 300]);
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it("should keep jittered delays within the computed delay", async () => {
+		vi.useFakeTimers();
+		const random = vi.spyOn(Math, "random").mockReturnValue(0.5);
+		try {
+			const times = [];
+			const example = withDefer(async (defer) => {
+				defer(
+					() => {
+						times.push(Date.now());
+						throw new Error("flaky");
+					},
+					{ retry: { attempts: 2, delay: 100, jitter: true } },
+				);
+			});
+
+			const promise = example();
+			await vi.runAllTimersAsync();
+			await promise;
+
+			expect(times[1] - times[0]).toBe(50);
+		} finally {
+			random.mockRestore();
+			vi.useRealTimers();
+		}
+	});
+
+	it("should validate retry options", async () => {
+		await withDefer(async (defer) => {
+			const invalid = [
+				[{ attempts: 0 }, "retry.attempts must be a positive integer"],
+				[
+					{ backoff: "linear" },
+					'retry.backoff must be "fixed" or "exponential"',
+				],
+				[{ delay: -1 }, "retry.delay must be a non-negative number"],
+				[{ maxDelay: "1" }, "retry.maxDelay must be a non-negative number"],
+				[{ jitter: "yes" }, "retry.jitter must be a boolean"],
+				[{ shouldRetry: true }, "retry.shouldRetry must be a function"],
+				[3, "retry must be an object or null"],
+			];
+			for (const [retry, message] of invalid) {
+				expect(() => defer(() => {}, { retry })).toThrow(message);
+			}
+		})();
+	});
+});
+
+describe("generators", () => {
+	it("should run deferreds after an async generator is fully consumed", async () => {
+		const logs = [];
+
+		const stream = withDefer(async function* (defer, count) {
+			defer(() => logs.push("cursor closed"));
+			for (let i = 0; i < count; i++) {
+				logs.push(`yield ${i}`);
+				yield i;
+			}
+		});
+
+		const values = [];
+		for await (const value of stream(3)) {
+			values.push(value);
+		}
+
+		expect(values).toEqual([0, 1, 2]);
+		expect(logs).toEqual(["yield 0", "yield 1", "yield 2", "cursor closed"]);
+	});
+
+	it("should not run deferreds before iteration starts", async () => {
+		const cleanup = vi.fn();
+
+		const stream = withDefer(async function* (defer) {
+			defer(cleanup);
+			yield 1;
+		});
+
+		const iterator = stream();
+		expect(cleanup).not.toHaveBeenCalled();
+		await iterator.next();
+		expect(cleanup).not.toHaveBeenCalled();
+		await iterator.next();
+		expect(cleanup).toHaveBeenCalledTimes(1);
+	});
+
+	it("should run deferreds when the consumer breaks out early", async () => {
+		const logs = [];
+
+		const stream = withDefer(async function* (defer) {
+			defer(() => logs.push("cursor closed"));
+			try {
+				for (let i = 0; ; i++) {
+					yield i;
+				}
+			} finally {
+				logs.push("generator finally");
+			}
+		});
+
+		for await (const value of stream()) {
+			if (value === 2) {
+				break;
+			}
+		}
+
+		expect(logs).toEqual(["generator finally", "cursor closed"]);
+	});
+
+	it("should run deferreds and rethrow when the generator throws", async () => {
+		const cleanup = vi.fn();
+
+		const stream = withDefer(async function* (defer) {
+			defer(cleanup);
+			yield 1;
+			throw new Error("cursor failed");
+		});
+
+		const iterator = stream();
+		await iterator.next();
+		await expect(iterator.next()).rejects.toThrow("cursor failed");
+		expect(cleanup).toHaveBeenCalledTimes(1);
+	});
+
+	it("should support recover and the generator's return value", async () => {
+		const stream = withDefer(async function* (defer) {
+			defer(({ recover, getResult, setResult }) => {
+				setResult(recover() ? "recovered" : `${getResult()}!`);
+			});
+			yield 1;
+			return "done";
+		});
+
+		const iterator = stream();
+		await iterator.next();
+		await expect(iterator.next()).resolves.toEqual({
+			value: "done!",
+			done: true,
+		});
+
+		const failing = withDefer(async function* (defer) {
+			defer(({ recover, setResult }) => {
+				if (recover()) {
+					setResult("recovered");
+				}
+			});
+			yield* [];
+			throw new Error("boom");
+		});
+		await expect(failing().next()).resolves.toEqual({
+			value: "recovered",
+			done: true,
+		});
+	});
+
+	it("should wrap synchronous generators in a synchronous iterator", () => {
+		const logs = [];
+
+		const numbers = withDefer(function* (defer) {
+			defer(() => logs.push("closed"));
+			yield 1;
+			yield 2;
+			yield 3;
+		});
+
+		const values = [];
+		for (const value of numbers()) {
+			values.push(value);
+			if (value === 2) {
+				break;
+			}
+		}
+
+		expect(values).toEqual([1, 2]);
+		expect(logs).toEqual(["closed"]);
+		expect([...numbers()]).toEqual([1, 2, 3]);
+		expect(logs).toEqual(["closed", "closed"]);
+	});
+
+	it("should run the deferreds of synchronous generators like withDeferSync", () => {
+		const errorReporter = vi.fn();
+		const failing = withDefer(
+			function* (defer) {
+				defer(async () => {});
+				yield 1;
+				throw new Error("boom");
+			},
+			{ errorReporter },
+		);
+
+		expect(() => [...failing()]).toThrow("boom");
+		expect(errorReporter).toHaveBeenCalledWith(
+			expect.objectContaining({
+				message: expect.stringContaining("withDeferSync only supports"),
+			}),
+			expect.anything(),
+		);
+		expect(() => withDefer(function* () {}, { timeout: 10 })).toThrow(
+			"timeout is not supported by synchronous generator functions",
+		);
+	});
+
+	it("should give each iteration its own defer stack", async () => {
+		const logs = [];
+		const stream = withDefer(async function* (defer, name) {
+			defer(() => logs.push(`closed ${name}`));
+			yield name;
+		});
+
+		const first = stream("a");
+		const second = stream("b");
+		await first.next();
+		await second.next();
+		await second.return();
+		await first.return();
+
+		expect(logs).toEqual(["closed b", "closed a"]);
+	});
+});
+
+describe("withDeferSync", () => {
+	it("should return the main function's value synchronously after running deferreds", () => {
+		const logs = [];
+
+		const loadConfig = withDeferSync((defer, path) => {
+			defer(() => logs.push("first registered"));
+			defer(() => logs.push("second registered"));
+			return { path };
+		});
+
+		const result = loadConfig("config.json");
+		expect(result).toEqual({ path: "config.json" });
+		expect(logs).toEqual(["second registered", "first registered"]);
+	});
+
+	it("should rethrow the main function's error synchronously", () => {
+		const cleanup = vi.fn();
+
+		const example = withDeferSync((defer) => {
+			defer(cleanup);
+			throw new Error("Main function error");
+		});
+
+		expect(() => example()).toThrow("Main function error");
+		expect(cleanup).toHaveBeenCalledTimes(1);
+	});
+
+	it("should throw an AggregateError synchronously with throwOnError", () => {
+		const example = withDeferSync(
+			(defer) => {
+				defer(() => {
+					throw new Error("cleanup failed");
+				});
+			},
+			{ throwOnError: true },
+		);
+
+		expect(() => example()).toThrow("1 deferred functions failed");
+	});
+
+	it("should reject deferreds that return thenables", () => {
+		const errorReporter = vi.fn();
+
+		const example = withDeferSync(
+			(defer) => {
+				defer(async () => {});
+			},
+			{ errorReporter },
+		);
+
+		example();
+		expect(errorReporter).toHaveBeenCalledTimes(1);
+		expect(errorReporter.mock.calls[0][0]).toBeInstanceOf(TypeError);
+		expect(errorReporter.mock.calls[0][1].message).toContain(
+			"withDeferSync only supports synchronous callbacks",
+		);
+	});
+
+	it("should reject asynchronous main functions after running deferreds", () => {
+		const cleanup = vi.fn();
+
+		const example = withDeferSync(async (defer) => {
+			defer(cleanup);
+		});
+
+		expect(() => example()).toThrow(
+			"withDeferSync only supports synchronous functions",
+		);
+		expect(cleanup).toHaveBeenCalledTimes(1);
+	});
+
+	it("should support recover, results, cancellation and phases", () => {
+		const logs = [];
+
+		const example = withDeferSync(
+			(defer) => {
+				defer(() => logs.push("release"), { phase: "release" });
+				defer(({ recover, setResult }) => {
+					if (recover()) {
+						setResult("fallback");
+					}
+				});
+				defer(() => logs.push("cancelled")).cancel();
+				throw new Error("boom");
+			},
+			{ phases: ["default", "release"] },
+		);
+
+		expect(example()).toBe("fallback");
+		expect(logs).toEqual(["release"]);
+	});
+
+	it("should run a handle early when it is disposed", () => {
+		const logs = [];
+
+		const example = withDeferSync((defer) => {
+			const handle = defer(() => logs.push("closed early"));
+			defer({
+				[Symbol.dispose]() {
+					logs.push("resource disposed");
+				},
+			});
+			handle[Symbol.dispose]();
+			logs.push("after dispose");
+		});
+
+		example();
+		expect(logs).toEqual([
+			"closed early",
+			"after dispose",
+			"resource disposed",
+		]);
+	});
+
+	it("should reject options that need asynchronous execution", () => {
+		expect(() => withDeferSync(() => {}, { timeout: 100 })).toThrow(
+			"timeout is not supported by withDeferSync",
+		);
+		expect(() => withDeferSync(() => {}, { concurrency: 2 })).toThrow(
+			"concurrency is not supported by withDeferSync",
+		);
+
+		withDeferSync((defer) => {
+			expect(() => defer(() => {}, { retry: { attempts: 2 } })).toThrow(
+				"retry is not supported by withDeferSync",
+			);
+		})();
+	});
+});
+
+describe("report", () => {
+	it("should resolve with the value and an outcome per deferred", async () => {
+		const report = await withDefer(
+			async (defer) => {
+				defer(function closeDb() {
+					return "closed";
+				});
+				defer(
+					function flushCache() {
+						throw new Error("flush failed");
+					},
+					{ errorReporter: () => {} },
+				);
+				defer(() => {}).cancel();
+				return 42;
+			},
+			{ report: true },
+		)();
+
+		expect(report.value).toBe(42);
+		expect(report.error).toBeUndefined();
+		expect(report.deferreds).toEqual([
+			expect.objectContaining({ name: "anonymous", status: "cancelled" }),
+			expect.objectContaining({
+				name: "flushCache",
+				status: "rejected",
+				error: expect.objectContaining({ message: "flush failed" }),
+			}),
+			expect.objectContaining({
+				name: "closeDb",
+				status: "fulfilled",
+				value: "closed",
+			}),
+		]);
+		for (const outcome of report.deferreds) {
+			expect(outcome.durationMs).toBeGreaterThanOrEqual(0);
+		}
+	});
+
+	it("should report timed out deferreds and their duration", async () => {
+		const report = await withDefer(
+			async (defer) => {
+				defer(() => new Promise((resolve) => setTimeout(resolve, 200)), {
+					timeout: 20,
+				});
+			},
+			{ report: true },
+		)();
+
+		expect(report.deferreds[0].status).toBe("timedOut");
+		expect(report.deferreds[0].error.message).toBe("timeout exceeded");
+		expect(report.deferreds[0].durationMs).toBeGreaterThanOrEqual(15);
+	});
+
+	it("should capture the main function's error instead of rejecting", async () => {
+		const report = await withDefer(
+			async (defer) => {
+				defer(() => {});
+				throw new Error("Main function error");
+			},
+			{ report: true },
+		)();
+
+		expect(report.value).toBeUndefined();
+		expect(report.error.message).toBe("Main function error");
+		expect(report.deferreds).toHaveLength(1);
+	});
+
+	it("should leave the error empty when a deferred recovers it", async () => {
+		const report = await withDefer(
+			async (defer) => {
+				defer(({ recover, setResult }) => {
+					recover();
+					setResult("fallback");
+				});
+				throw new Error("boom");
+			},
+			{ report: true },
+		)();
+
+		expect(report.value).toBe("fallback");
+		expect(report.error).toBeUndefined();
+	});
+
+	it("should include deferreds that ran early through their handle", async () => {
+		const report = await withDefer(
+			async (defer) => {
+				defer(function late() {});
+				await defer(function early() {})[Symbol.asyncDispose]();
+			},
+			{ report: true },
+		)();
+
+		expect(report.deferreds.map(({ name }) => name)).toEqual(["early", "late"]);
+	});
+
+	it("should support report mode in withDeferSync", () => {
+		const report = withDeferSync(
+			(defer) => {
+				defer(() => "done");
+				return "value";
+			},
+			{ report: true },
+		)();
+
+		expect(report).toEqual({
+			value: "value",
+			error: undefined,
+			deferreds: [
+				expect.objectContaining({ status: "fulfilled", value: "done" }),
+			],
+		});
+	});
+
+	it("should validate the report option", () => {
+		expect(() => withDefer(() => {}, { report: "yes" })).toThrow(
+			"report must be a boolean",
+		);
+	});
+
+	it("should reject the report option where results are passed on as they are", async () => {
+		expect(() => withDefer(async function* () {}, { report: true })).toThrow(
+			"report is not supported by generator functions",
+		);
+		expect(() => withDefer.handler(async () => {}, { report: true })).toThrow(
+			"report is not supported by withDefer.handler",
+		);
+		const scope = new DeferScope({ report: true });
+		await expect(scope.runResponse(async () => new Response())).rejects.toThrow(
+			"report is not supported by runResponse()",
+		);
+	});
+});
+
+describe("hooks", () => {
+	it("should notify hooks of each lifecycle event in order", async () => {
+		const events = [];
+		const hooks = {
+			onScopeStart: () => events.push("scopeStart"),
+			onDeferRegistered: ({ name }) => events.push(`registered ${name}`),
+			onDeferStart: ({ name }) => events.push(`start ${name}`),
+			onDeferSettled: ({ name, status }) =>
+				events.push(`settled ${name} ${status}`),
+			onDeferCancelled: ({ name }) => events.push(`cancelled ${name}`),
+			onScopeEnd: ({ deferreds }) => events.push(`end ${deferreds.length}`),
+		};
+
+		await withDefer(
+			async (defer) => {
+				defer(function first() {});
+				defer(function second() {}).cancel();
+			},
+			{ hooks },
+		)();
+
+		expect(events).toEqual([
+			"scopeStart",
+			"registered first",
+			"registered second",
+			"cancelled second",
+			"start first",
+			"settled first fulfilled",
+			"end 2",
+		]);
+	});
+
+	it("should pass status, value, error and duration to onDeferSettled", async () => {
+		const settled = [];
+		await withDefer(
+			async (defer) => {
+				defer(
+					function slow() {
+						return new Promise(() => {});
+					},
+					{ timeout: 20 },
+				);
+				defer(function failing() {
+					throw new Error("cleanup failed");
+				});
+				defer(function ok() {
+					return "done";
+				});
+			},
+			{ hooks: { onDeferSettled: (event) => settled.push(event) } },
+		)();
+
+		expect(settled).toEqual([
+			expect.objectContaining({
+				name: "ok",
+				index: 0,
+				phase: "default",
+				status: "fulfilled",
+				value: "done",
+			}),
+			expect.objectContaining({
+				name: "failing",
+				index: 1,
+				status: "rejected",
+			}),
+			expect.objectContaining({ name: "slow", index: 2, status: "timedOut" }),
+		]);
+		expect(settled[1].error.message).toBe("cleanup failed");
+		expect(settled[2].timeout).toBe(20);
+		expect(settled[2].durationMs).toBeGreaterThanOrEqual(15);
+	});
+
+	it("should report registration before the execution index is known", async () => {
+		const registered = [];
+		await withDefer(
+			async (defer) => {
+				defer(() => {}, { timeout: 100 });
+			},
+			{ hooks: { onDeferRegistered: (event) => registered.push(event) } },
+		)();
+
+		expect(registered).toEqual([
+			{ name: "anonymous", phase: "default", index: null, timeout: 100 },
+		]);
+	});
+
+	it("should pass the outcomes and duration of the scope to onScopeEnd", async () => {
+		const onScopeEnd = vi.fn();
+		const scope = new DeferScope({ hooks: { onScopeEnd } });
+		scope.defer(() => "value");
+		await scope.close();
+		await scope.close();
+
+		expect(onScopeEnd).toHaveBeenCalledTimes(1);
+		const [{ deferreds, durationMs }] = onScopeEnd.mock.calls[0];
+		expect(deferreds).toEqual([
+			expect.objectContaining({ status: "fulfilled", value: "value" }),
+		]);
+		expect(durationMs).toBeGreaterThanOrEqual(0);
+	});
+
+	it("should isolate the scope from throwing and rejecting hooks", async () => {
+		const throwing = () => {
+			throw new Error("hook failed");
+		};
+		const rejecting = () => Promise.reject(new Error("hook rejected"));
+		const deferred = vi.fn();
+
+		const result = await withDefer(
+			async (defer) => {
+				defer(deferred);
+				return "value";
+			},
+			{
+				hooks: {
+					onScopeStart: throwing,
+					onDeferRegistered: rejecting,
+					onDeferStart: throwing,
+					onDeferSettled: rejecting,
+					onScopeEnd: throwing,
+				},
+			},
+		)();
+
+		expect(result).toBe("value");
+		expect(deferred).toHaveBeenCalledTimes(1);
+	});
+
+	it("should log hook errors in debug mode", async () => {
+		const consoleSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+		try {
+			await withDefer(
+				async (defer) => {
+					defer(() => {});
+				},
+				{
+					debug: true,
+					hooks: {
+						onDeferStart: () => {
+							throw new Error("hook failed");
+						},
+					},
+				},
+			)();
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				"Error in onDeferStart hook:",
+				"hook failed",
+			);
+		} finally {
+			consoleSpy.mockRestore();
+		}
+	});
+
+	it("should call hooks from withDeferSync", () => {
+		const events = [];
+		withDeferSync(
+			(defer) => {
+				defer(function cleanup() {});
+			},
+			{
+				hooks: {
+					onDeferStart: ({ name }) => events.push(`start ${name}`),
+					onDeferSettled: ({ status }) => events.push(status),
+					onScopeEnd: () => events.push("end"),
+				},
+			},
+		)();
+
+		expect(events).toEqual(["start cleanup", "fulfilled", "end"]);
+	});
+
+	it("should validate the hooks option", () => {
+		expect(() => withDefer(() => {}, { hooks: "hooks" })).toThrow(
+			"hooks must be an object or null",
+		);
+		expect(() =>
+			withDefer(() => {}, { hooks: { onDeferStart: "log" } }),
+		).toThrow("hooks.onDeferStart must be a function");
+	});
+});
+
+describe("tracer", () => {
+	// Minimal in-memory implementation of the OpenTelemetry Tracer interface
+	const createTracer = () => {
+		const active = new AsyncLocalStorage();
+		const spans = [];
+		const tracer = {
+			startActiveSpan(name, options, fn) {
+				const callback = typeof options === "function" ? options : fn;
+				const span = {
+					name,
+					parent: active.getStore() ?? null,
+					attributes: { ...options?.attributes },
+					exceptions: [],
+					status: null,
+					ended: false,
+					setAttribute(key, value) {
+						span.attributes[key] = value;
+						return span;
+					},
+					recordException(exception) {
+						span.exceptions.push(exception);
+					},
+					setStatus(status) {
+						span.status = status;
+						return span;
+					},
+					end() {
+						span.ended = true;
+					},
+				};
+				spans.push(span);
+				return active.run(span, () => callback(span));
+			},
+		};
+		return { tracer, spans };
+	};
+
+	it("should open a scope span with a child span per deferred", async () => {
+		const { tracer, spans } = createTracer();
+		await withDefer(
+			async (defer) => {
+				defer(function closeFile() {});
+				defer(function releaseLock() {}, { timeout: 100 });
+			},
+			{ tracer },
+		)();
+
+		const [scopeSpan, ...deferSpans] = spans;
+		expect(scopeSpan).toMatchObject({
+			name: "withDefer",
+			parent: null,
+			ended: true,
+			status: null,
+			attributes: { "defer.count": 2 },
+		});
+		expect(deferSpans.map(({ name }) => name)).toEqual([
+			"releaseLock",
+			"closeFile",
+		]);
+		expect(deferSpans[0]).toMatchObject({
+			parent: scopeSpan,
+			ended: true,
+			attributes: {
+				"defer.index": 0,
+				"defer.phase": "default",
+				"defer.cancelled": false,
+				"defer.attempt": 1,
+				"defer.timeout": 100,
+			},
+		});
+		expect(deferSpans[1].attributes).not.toHaveProperty("defer.timeout");
+	});
+
+	it("should nest spans started inside deferred functions", async () => {
+		const { tracer, spans } = createTracer();
+		await withDefer(
+			async (defer) => {
+				defer(function flush() {
+					tracer.startActiveSpan("http request", (span) => span.end());
+				});
+			},
+			{ tracer },
+		)();
+
+		expect(spans.map(({ name, parent }) => [name, parent?.name])).toEqual([
+			["withDefer", undefined],
+			["flush", "withDefer"],
+			["http request", "flush"],
+		]);
+	});
+
+	it("should record exceptions and timeouts on deferred spans", async () => {
+		const { tracer, spans } = createTracer();
+		await withDefer(
+			async (defer) => {
+				defer(
+					function hang() {
+						return new Promise(() => {});
+					},
+					{ timeout: 20 },
+				);
+				defer(function fail() {
+					throw new Error("cleanup failed");
+				});
+			},
+			{ tracer },
+		)();
+
+		const fail = spans.find(({ name }) => name === "fail");
+		expect(fail.exceptions[0].message).toBe("cleanup failed");
+		expect(fail.status).toEqual({ code: 2, message: "cleanup failed" });
+
+		const hang = spans.find(({ name }) => name === "hang");
+		expect(hang.attributes["defer.timed_out"]).toBe(true);
+		expect(hang.status).toEqual({ code: 2, message: "timeout exceeded" });
+		expect(hang.ended).toBe(true);
+	});
+
+	it("should record the final attempt and cancellation", async () => {
+		const { tracer, spans } = createTracer();
+		let calls = 0;
+		await withDefer(
+			async (defer) => {
+				defer(function skipped() {}).cancel();
+				defer(
+					function flaky() {
+						if (++calls < 3) {
+							throw new Error("flaky");
+						}
+					},
+					{ retry: { attempts: 3 } },
+				);
+			},
+			{ tracer },
+		)();
+
+		const flaky = spans.find(({ name }) => name === "flaky");
+		expect(flaky.attributes["defer.attempt"]).toBe(3);
+		expect(flaky.status).toBeNull();
+
+		const skipped = spans.find(({ name }) => name === "skipped");
+		expect(skipped.attributes["defer.cancelled"]).toBe(true);
+	});
+
+	it("should record the main function's error on the scope span", async () => {
+		const { tracer, spans } = createTracer();
+		const wrapped = withDefer(
+			async () => {
+				throw new Error("Main function error");
+			},
+			{ tracer },
+		);
+
+		await expect(wrapped()).rejects.toThrow("Main function error");
+		expect(spans[0].status).toEqual({
+			code: 2,
+			message: "Main function error",
+		});
+		expect(spans[0].ended).toBe(true);
+	});
+
+	it("should leave the scope span successful when a deferred recovers", async () => {
+		const { tracer, spans } = createTracer();
+		await withDefer(
+			async (defer) => {
+				defer(({ recover }) => {
+					recover();
+				});
+				throw new Error("boom");
+			},
+			{ tracer },
+		)();
+
+		expect(spans[0].status).toBeNull();
+	});
+
+	it("should trace withDeferSync scopes", () => {
+		const { tracer, spans } = createTracer();
+		withDeferSync(
+			(defer) => {
+				defer(function cleanup() {});
+			},
+			{ tracer },
+		)();
+
+		expect(spans.map(({ name, parent }) => [name, parent?.name])).toEqual([
+			["withDeferSync", undefined],
+			["cleanup", "withDeferSync"],
+		]);
+		expect(spans.every(({ ended }) => ended)).toBe(true);
+	});
+
+	it("should trace generator scopes until iteration ends", async () => {
+		const { tracer, spans } = createTracer();
+		const numbers = withDefer(
+			async function* (defer) {
+				defer(function c() {});
+				yield 1;
+				throw new Error("boom");
+			},
+			{ tracer },
+		);
+
+		const iterator = numbers();
+		await iterator.next();
+		expect(spans.map(({ name, ended }) => [name, ended])).toEqual([
+			["withDefer", false],
+		]);
+		await expect(iterator.next()).rejects.toThrow("boom");
+
+		expect(spans.map(({ name, parent }) => [name, parent?.name])).toEqual([
+			["withDefer", undefined],
+			["c", "withDefer"],
+		]);
+		expect(spans[0]).toMatchObject({
+			ended: true,
+			attributes: { "defer.count": 1 },
+			status: { message: "boom" },
+		});
+	});
+
+	it("should trace withDefer.handler scopes until the body is read", async () => {
+		const { tracer, spans } = createTracer();
+		const handler = withDefer.handler(
+			async (defer) => {
+				tracer.startActiveSpan("query", () => {});
+				defer(function release() {});
+				return new Response("ok");
+			},
+			{ tracer },
+		);
+
+		const response = await handler(new Request("http://localhost/"));
+		expect(spans[0].ended).toBe(false);
+		expect(await response.text()).toBe("ok");
+		await vi.waitFor(() => expect(spans[0].ended).toBe(true));
+
+		expect(spans.map(({ name, parent }) => [name, parent?.name])).toEqual([
+			["withDefer", undefined],
+			["query", "withDefer"],
+			["release", "withDefer"],
+		]);
+		expect(spans[0].attributes).toEqual({ "defer.count": 1 });
+	});
+
+	it("should validate the tracer option", () => {
+		expect(() => withDefer(() => {}, { tracer: {} })).toThrow(
+			"tracer must implement startActiveSpan()",
+		);
+	});
+});
+
+describe("timing", () => {
+	it("should expose start, end and duration on the handle", async () => {
+		let handle;
+		await withDefer(async (defer) => {
+			handle = defer(() => new Promise((resolve) => setTimeout(resolve, 20)));
+			expect(handle.startTime).toBeNull();
+			expect(handle.durationMs).toBeNull();
+		})();
+
+		expect(handle.startTime).toEqual(expect.any(Number));
+		expect(handle.endTime).toBeGreaterThanOrEqual(handle.startTime);
+		expect(handle.durationMs).toBe(handle.endTime - handle.startTime);
+		expect(handle.durationMs).toBeGreaterThanOrEqual(15);
+	});
+
+	it("should include timing in the error context", async () => {
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(async () => {
+					await new Promise((resolve) => setTimeout(resolve, 20));
+					throw new Error("cleanup failed");
+				});
+			},
+			{ errorReporter },
+		)();
+
+		const [, context] = errorReporter.mock.calls[0];
+		expect(context.startTime).toEqual(expect.any(Number));
+		expect(context.durationMs).toBeGreaterThanOrEqual(15);
+	});
+
+	it("should report deferreds exceeding slowThreshold without failing them", async () => {
+		const errorReporter = vi.fn();
+		const handles = [];
+		await withDefer(
+			async (defer) => {
+				handles.push(
+					defer(function fast() {
+						return "fast";
+					}),
+				);
+				handles.push(
+					defer(function slow() {
+						return new Promise((resolve) =>
+							setTimeout(() => resolve("slow"), 50),
+						);
+					}),
+				);
+			},
+			{ slowThreshold: 20, errorReporter },
+		)();
+
+		expect(errorReporter).toHaveBeenCalledTimes(1);
+		const [err, context] = errorReporter.mock.calls[0];
+		expect(err.message).toMatch(
+			/^slow execution in deferred function 0 \(slow\): running for \d+ms, exceeding slowThreshold of 20ms$/,
+		);
+		expect(context).toMatchObject({ index: 0, attempt: 1 });
+		expect(context.durationMs).toBeGreaterThanOrEqual(15);
+		expect(await handles[1].promise).toBe("slow");
+	});
+
+	it("should report slow deferreds while they are still running", async () => {
+		const onSlow = vi.fn();
+		let slowSeenBeforeSettling = false;
+		await withDefer(
+			async (defer) => {
+				defer(
+					async () => {
+						await new Promise((resolve) => setTimeout(resolve, 60));
+						slowSeenBeforeSettling = onSlow.mock.calls.length === 1;
+					},
+					{ slowThreshold: 20 },
+				);
+			},
+			{ hooks: { onSlow } },
+		)();
+
+		expect(slowSeenBeforeSettling).toBe(true);
+	});
+
+	it("should prefer the onSlow hook over errorReporter", async () => {
+		const onSlow = vi.fn();
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(function drain() {
+					return new Promise((resolve) => setTimeout(resolve, 40));
+				});
+			},
+			{ slowThreshold: 10, errorReporter, hooks: { onSlow } },
+		)();
+
+		expect(errorReporter).not.toHaveBeenCalled();
+		expect(onSlow).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: "drain",
+				index: 0,
+				slowThreshold: 10,
+				elapsedMs: expect.any(Number),
+			}),
+		);
+	});
+
+	it("should check slowThreshold once synchronous deferreds return", () => {
+		const onSlow = vi.fn();
+		withDeferSync(
+			(defer) => {
+				defer(function busy() {
+					const end = performance.now() + 15;
+					while (performance.now() < end) {}
+				});
+				defer(function quick() {});
+			},
+			{ slowThreshold: 5, hooks: { onSlow } },
+		)();
+
+		expect(onSlow).toHaveBeenCalledTimes(1);
+		expect(onSlow.mock.calls[0][0].name).toBe("busy");
+		expect(onSlow.mock.calls[0][0].elapsedMs).toBeGreaterThanOrEqual(15);
+	});
+
+	it("should validate the slowThreshold option", async () => {
+		await withDefer(async (defer) => {
+			expect(() => defer(() => {}, { slowThreshold: -1 })).toThrow(
+				"slowThreshold must be a non-negative finite number or null",
+			);
+			expect(() => defer(() => {}, { slowThreshold: "10" })).toThrow(
+				"slowThreshold must be a non-negative finite number or null",
+			);
+		})();
+	});
+});
+
+describe("leak detection", () => {
+	// Forces a full garbage collection, which V8 only exposes behind a flag
+	const collectGarbage = async () => {
+		setFlagsFromString("--expose-gc");
+		const gc = runInNewContext("gc");
+		for (let i = 0; i < 10; i++) {
+			gc();
+			await new Promise((resolve) => setTimeout(resolve, 10));
+		}
+	};
+
+	it("should report deferreds that are still pending after pendingThreshold", async () => {
+		const onLeak = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(
+					function stuck() {
+						return new Promise(() => {});
+					},
+					{ timeout: 80 },
+				);
+			},
+			{ leakDetection: { pendingThreshold: 20 }, hooks: { onLeak } },
+		)();
+
+		expect(onLeak).toHaveBeenCalledTimes(1);
+		expect(onLeak).toHaveBeenCalledWith({
+			reason: "pending",
+			deferreds: ["stuck"],
+			index: 0,
+			elapsedMs: expect.any(Number),
+		});
+		expect(onLeak.mock.calls[0][0].elapsedMs).toBeGreaterThanOrEqual(15);
+	});
+
+	it("should report pending deferreds to errorReporter without a hook", async () => {
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(function drain() {
+					return new Promise((resolve) => setTimeout(resolve, 60));
+				});
+				defer(function quick() {});
+			},
+			{ leakDetection: { pendingThreshold: 20 }, errorReporter },
+		)();
+
+		expect(errorReporter).toHaveBeenCalledTimes(1);
+		const [err, context] = errorReporter.mock.calls[0];
+		expect(err.message).toMatch(
+			/^possible leak in deferred function 1 \(drain\): still pending after \d+ms$/,
+		);
+		expect(context).toMatchObject({ index: 1, attempt: 1 });
+	});
+
+	it("should report scopes collected with unexecuted deferreds", async () => {
+		const onLeak = vi.fn();
+		(() => {
+			const scope = new DeferScope({ leakDetection: true, hooks: { onLeak } });
+			scope.defer(function closeFile() {});
+			scope.defer(function releaseLock() {});
+			scope.defer(function skipped() {}).cancel();
+		})();
+		await collectGarbage();
+
+		expect(onLeak).toHaveBeenCalledWith({
+			reason: "collected",
+			deferreds: ["closeFile", "releaseLock"],
+			index: null,
+			elapsedMs: null,
+		});
+	});
+
+	it("should not report deferreds restored without being cancelled, then cancelled", async () => {
+		const onLeak = vi.fn();
+		(() => {
+			const scope = new DeferScope({ leakDetection: true, hooks: { onLeak } });
+			const handle = scope.defer(function release() {});
+			handle.restore();
+			handle.cancel();
+		})();
+		await collectGarbage();
+
+		expect(onLeak).not.toHaveBeenCalled();
+	});
+
+	it("should not report scopes that were closed or whose deferreds moved", async () => {
+		const onLeak = vi.fn();
+		const options = { leakDetection: true, hooks: { onLeak } };
+		let target = new DeferScope();
+		await (async () => {
+			const closed = new DeferScope(options);
+			closed.defer(() => {});
+			await closed.close();
+			const moved = new DeferScope(options);
+			moved.defer(() => {});
+			target = moved.move();
+		})();
+		await collectGarbage();
+
+		expect(onLeak).not.toHaveBeenCalled();
+		await target.close();
+	});
+
+	it("should leave leak detection off by default", async () => {
+		const errorReporter = vi.fn();
+		(() => {
+			new DeferScope({ errorReporter }).defer(() => {});
+		})();
+		await collectGarbage();
+
+		expect(errorReporter).not.toHaveBeenCalled();
+	});
+
+	it("should validate the leakDetection option", () => {
+		expect(() => new DeferScope({ leakDetection: "yes" })).toThrow(
+			"leakDetection must be a boolean or an object",
+		);
+		expect(
+			() => new DeferScope({ leakDetection: { pendingThreshold: 0 } }),
+		).toThrow(
+			"leakDetection.pendingThreshold must be a positive finite number",
+		);
+		expect(() => new DeferScope({ leakDetection: { gc: 1 } })).toThrow(
+			"leakDetection.gc",
+		);
+		expect(() => withDeferSync(() => {}, { leakDetection: true })).toThrow(
+			"leakDetection is not supported by withDeferSync",
+		);
+		expect(withDeferSync(() => 1, { leakDetection: false })()).toBe(1);
+	});
+});
+
+describe("totalTimeout", () => {
+	const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	it("should time out the running deferred and skip the rest once the budget runs out", async () => {
+		const logs = [];
+		const errorReporter = vi.fn();
+		const report = await withDefer(
+			async (defer) => {
+				defer(function closeDatabase() {
+					logs.push("closeDatabase");
+				});
+				defer(function flushLogs() {
+					logs.push("flushLogs");
+				});
+				defer(async function drainQueue() {
+					await sleep(200);
+					logs.push("drainQueue");
+				});
+			},
+			{ totalTimeout: 30, errorReporter, report: true },
+		)();
+
+		expect(logs).toEqual([]);
+		expect(report.deferreds.map(({ name, status }) => [name, status])).toEqual([
+			["drainQueue", "timedOut"],
+			["flushLogs", "skipped"],
+			["closeDatabase", "skipped"],
+		]);
+		expect(errorReporter.mock.calls.map(([, { message }]) => message)).toEqual([
+			"error in deferred function 0 (drainQueue): timed out: deadline exceeded",
+			"error in deferred function 1 (flushLogs): skipped: deadline exceeded",
+			"error in deferred function 2 (closeDatabase): skipped: deadline exceeded",
+		]);
+		expect(errorReporter.mock.calls.map(([, { attempt }]) => attempt)).toEqual([
+			1, 0, 0,
+		]);
+	});
+
+	it("should clamp per-deferred timeouts to the remaining budget", async () => {
+		const handles = [];
+		const start = performance.now();
+		await withDefer(
+			async (defer) => {
+				handles.push(defer(() => sleep(1000), { timeout: 5000 }));
+				handles.push(defer(() => sleep(20), { timeout: 5000 }));
+			},
+			{ totalTimeout: 60 },
+		)();
+
+		expect(performance.now() - start).toBeLessThan(500);
+		expect(handles[1].durationMs).toBeLessThan(60);
+		expect((await handles[0].promise).message).toBe("deadline exceeded");
+	});
+
+	it("should keep shorter per-deferred timeouts", async () => {
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(
+					function hang() {
+						return new Promise(() => {});
+					},
+					{ timeout: 10 },
+				);
+			},
+			{ totalTimeout: 1000, errorReporter },
+		)();
+
+		expect(errorReporter.mock.calls[0][1].message).toBe(
+			"error in deferred function 0 (hang): timed out: timeout exceeded",
+		);
+	});
+
+	it("should span all phases and stop retrying once the budget runs out", async () => {
+		const attempts = vi.fn(() => {
+			throw new Error("busy");
+		});
+		const handles = [];
+		await withDefer(
+			async (defer) => {
+				handles.push(
+					defer(attempts, {
+						phase: "flush",
+						retry: { attempts: 10, delay: 20 },
+					}),
+				);
+				handles.push(defer(() => sleep(200), { phase: "close" }));
+			},
+			{ phases: ["flush", "close"], totalTimeout: 50 },
+		)();
+
+		expect(attempts.mock.calls.length).toBeLessThan(10);
+		expect((await handles[0].promise).message).toBe("busy");
+		expect((await handles[1].promise).message).toBe("deadline exceeded");
+	});
+
+	it("should include skipped deferreds in the AggregateError with throwOnError", async () => {
+		await expect(
+			withDefer(
+				async (defer) => {
+					defer(function release() {});
+					defer(() => sleep(100));
+				},
+				{ totalTimeout: 10, throwOnError: true },
+			)(),
+		).rejects.toMatchObject({
+			errors: [
+				expect.objectContaining({
+					message:
+						"promise rejection in deferred function 0 (anonymous): deadline exceeded",
+				}),
+				expect.objectContaining({
+					message:
+						"promise rejection in deferred function 1 (release): deadline exceeded",
+				}),
+			],
+		});
+	});
+
+	it("should notify hooks of skipped deferreds", async () => {
+		const onDeferStart = vi.fn();
+		const onDeferSettled = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(function skipped() {});
+				defer(() => sleep(50));
+			},
+			{ totalTimeout: 10, hooks: { onDeferStart, onDeferSettled } },
+		)();
+
+		expect(onDeferStart).toHaveBeenCalledTimes(1);
+		expect(onDeferSettled).toHaveBeenLastCalledWith(
+			expect.objectContaining({
+				name: "skipped",
+				index: 1,
+				status: "skipped",
+				error: new Error("deadline exceeded"),
+			}),
+		);
+	});
+
+	it("should validate the totalTimeout option", () => {
+		for (const totalTimeout of [0, -1, "10", Number.POSITIVE_INFINITY]) {
+			expect(() => new DeferScope({ totalTimeout })).toThrow(
+				"totalTimeout must be a positive finite number or null",
+			);
+		}
+		expect(() => withDeferSync(() => {}, { totalTimeout: 10 })).toThrow(
+			"totalTimeout is not supported by withDeferSync",
+		);
+	});
+});
+
+describe("handle", () => {
+	it("should expose the status of the deferred function", async () => {
+		const handles = {};
+		await withDefer(async (defer) => {
+			handles.ok = defer(() => {
+				expect(handles.ok.status).toBe("running");
+			});
+			handles.failing = defer(() => {
+				throw new Error("close failed");
+			});
+			handles.hanging = defer(() => new Promise(() => {}), { timeout: 10 });
+			handles.cancelled = defer(() => {});
+			handles.cancelled.cancel();
+			expect(handles.ok.status).toBe("pending");
+			expect(handles.cancelled.status).toBe("cancelled");
+		})();
+
+		expect(handles.ok.status).toBe("fulfilled");
+		expect(handles.failing.status).toBe("rejected");
+		expect(handles.hanging.status).toBe("timedOut");
+		expect(handles.cancelled.status).toBe("cancelled");
+	});
+
+	it("should run the deferred function early with runNow()", async () => {
+		const logs = [];
+		await withDefer(async (defer) => {
+			defer(() => logs.push("close connection"));
+			const file = defer(() => {
+				logs.push("close file");
+				return "closed";
+			});
+			expect(await file.runNow()).toBe("closed");
+			expect(await file.runNow()).toBe("closed");
+			logs.push("main done");
+		})();
+
+		expect(logs).toEqual(["close file", "main done", "close connection"]);
+	});
+
+	it("should run a deferred function from another one with runNow()", async () => {
+		const logs = [];
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				const flush = defer(() => {
+					logs.push("flush");
+					throw new Error("flush failed");
+				});
+				defer(() => logs.push("close"));
+				defer(async () => {
+					logs.push("drain");
+					expect(await flush.runNow()).toBeInstanceOf(Error);
+					logs.push("drained");
+				});
+			},
+			{ errorReporter },
+		)();
+
+		expect(logs).toEqual(["drain", "flush", "drained", "close"]);
+		expect(errorReporter).toHaveBeenCalledTimes(1);
+	});
+
+	it("should run a deferred function from another one with runNow() in withDeferSync", () => {
+		const logs = [];
+		withDeferSync((defer) => {
+			const flush = defer(() => logs.push("flush"));
+			defer(() => {
+				flush.runNow();
+				logs.push("drained");
+			});
+		})();
+
+		expect(logs).toEqual(["flush", "drained"]);
+	});
+
+	it("should undo a cancellation with restore()", async () => {
+		const cleanup = vi.fn();
+		await withDefer(async (defer) => {
+			const handle = defer(cleanup);
+			handle.cancel();
+			handle.restore();
+			expect(handle.status).toBe("pending");
+		})();
+
+		expect(cleanup).toHaveBeenCalledTimes(1);
+	});
+
+	it("should report a restored deferred as a leak again", async () => {
+		const onLeak = vi.fn();
+		const scope = new DeferScope({
+			leakDetection: { pendingThreshold: 10 },
+			hooks: { onLeak },
+		});
+		const handle = scope.defer(() => new Promise(() => {}), { timeout: 40 });
+		handle.cancel();
+		handle.restore();
+		await scope.close();
+
+		expect(onLeak).toHaveBeenCalledTimes(1);
+	});
+
+	it("should change options before execution with update()", async () => {
+		const errorReporter = vi.fn();
+		const handles = [];
+		await withDefer(async (defer) => {
+			const handle = defer(function hang() {
+				return new Promise(() => {});
+			});
+			handle.update({ timeout: 10, errorReporter });
+			handles.push(handle);
+		})();
+
+		expect(handles[0].status).toBe("timedOut");
+		expect(errorReporter).toHaveBeenCalledWith(
+			expect.any(Error),
+			expect.objectContaining({
+				message:
+					"error in deferred function 0 (hang): timed out: timeout exceeded",
+			}),
+		);
+	});
+
+	it("should reject restore() and update() once the deferred function has started", async () => {
+		await withDefer(async (defer) => {
+			const handle = defer(() => {});
+			await handle.runNow();
+			expect(() => handle.restore()).toThrow(
+				"Cannot call restore() after the deferred function has started.",
+			);
+			expect(() => handle.update({ timeout: 10 })).toThrow(
+				"Cannot call update() after the deferred function has started.",
+			);
+		})();
+	});
+
+	it("should validate options passed to update()", async () => {
+		await withDefer(async (defer) => {
+			const handle = defer(() => {});
+			expect(() => handle.update({ timeout: "10" })).toThrow(
+				"timeout must be a finite number or null",
+			);
+			expect(() => handle.update({ phase: "late" })).toThrow(
+				"phase cannot be changed with update()",
+			);
+		})();
+	});
+
+	it("should support the same handle in withDeferSync", () => {
+		const logs = [];
+		withDeferSync((defer) => {
+			const cancelled = defer(() => logs.push("cancelled"));
+			const early = defer(() => logs.push("early"));
+			cancelled.cancel();
+			cancelled.restore();
+			early.runNow();
+			expect(early.status).toBe("fulfilled");
+			expect(() => early.update({ timeout: 10 })).toThrow(
+				"timeout is not supported by withDeferSync",
+			);
+		})();
+
+		expect(logs).toEqual(["early", "cancelled"]);
+	});
+});
+
+describe("pending", () => {
+	it("should list queued deferreds in execution order", async () => {
+		await withDefer(
+			async (defer) => {
+				defer(function closeDatabase() {}, { phase: "close" });
+				defer(function flushLogs() {}, { timeout: 500 });
+				defer({ [Symbol.dispose]() {} }).cancel();
+
+				expect(defer.size).toBe(3);
+				expect(defer.pending()).toEqual([
+					{
+						name: "anonymous",
+						labels: null,
+						phase: "default",
+						options: {},
+						order: 2,
+						cancelled: true,
+					},
+					{
+						name: "flushLogs",
+						labels: null,
+						phase: "default",
+						options: { timeout: 500 },
+						order: 1,
+						cancelled: false,
+					},
+					{
+						name: "closeDatabase",
+						labels: null,
+						phase: "close",
+						options: { phase: "close" },
+						order: 0,
+						cancelled: false,
+					},
+				]);
+			},
+			{ phases: ["close"] },
+		)();
+	});
+
+	it("should answer whether a cleanup was already registered", async () => {
+		const ensureClosed = (defer, connection) => {
+			if (!defer.pending().some(({ name }) => name === "closeConnection")) {
+				defer(function closeConnection() {
+					connection.closed = true;
+				});
+			}
+		};
+		const connection = { closed: false };
+		await withDefer(async (defer) => {
+			ensureClosed(defer, connection);
+			ensureClosed(defer, connection);
+			expect(defer.size).toBe(1);
+		})();
+
+		expect(connection.closed).toBe(true);
+	});
+
+	it("should return read-only snapshots", async () => {
+		await withDefer(async (defer) => {
+			const handle = defer(() => {}, { timeout: 100 });
+			const [entry] = defer.pending();
+			expect(Object.isFrozen(entry)).toBe(true);
+			expect(Object.isFrozen(entry.options)).toBe(true);
+
+			handle.update({ timeout: 200 });
+			handle.cancel();
+			expect(entry).toMatchObject({
+				options: { timeout: 100 },
+				cancelled: false,
+			});
+			expect(defer.pending()[0]).toMatchObject({
+				options: { timeout: 200 },
+				cancelled: true,
+			});
+		})();
+	});
+
+	it("should drop deferreds that ran early or moved, and empty on close", async () => {
+		const scope = new DeferScope();
+		const early = scope.defer(function early() {});
+		scope.defer(function late() {});
+		await early.runNow();
+		expect(scope.pending().map(({ name }) => name)).toEqual(["late"]);
+
+		const moved = scope.move();
+		expect(scope.size).toBe(0);
+		moved.defer(function added() {});
+		expect(moved.defer.pending()).toMatchObject([
+			{ name: "added", order: 2 },
+			{ name: "late", order: 1 },
+		]);
+		await moved.close();
+		expect(moved.size).toBe(0);
+	});
+
+	it("should be available in withDeferSync", () => {
+		withDeferSync((defer) => {
+			defer(function first() {});
+			defer(function second() {});
+			expect(defer.size).toBe(2);
+			expect(defer.pending().map(({ name }) => name)).toEqual([
+				"second",
+				"first",
+			]);
+		})();
+	});
+});
+
+describe("names and labels", () => {
+	it("should use the name and labels in error messages and the ErrorContext", async () => {
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(
+					() => {
+						throw new Error("lock lost");
+					},
+					{ name: "release-lock", labels: { orderId: "order-123" } },
+				);
+			},
+			{ errorReporter },
+		)();
+
+		expect(errorReporter).toHaveBeenCalledWith(
+			expect.any(Error),
+			expect.objectContaining({
+				message:
+					"error in deferred function 0 (release-lock(orderId=order-123)): failed to execute: lock lost",
+				name: "release-lock",
+				labels: { orderId: "order-123" },
+			}),
+		);
+	});
+
+	it("should name the wrapped errors in the AggregateError", async () => {
+		await expect(
+			withDefer(
+				async (defer) => {
+					defer(() => Promise.reject(new Error("flush failed")), {
+						name: "flush-logs",
+					});
+				},
+				{ throwOnError: true },
+			)(),
+		).rejects.toMatchObject({
+			errors: [
+				expect.objectContaining({
+					message:
+						"promise rejection in deferred function 0 (flush-logs): flush failed",
+				}),
+			],
+		});
+	});
+
+	it("should merge the scope's labels into each deferred's labels", async () => {
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(() => new Promise(() => {}), {
+					name: "close-socket",
+					labels: { socket: 7 },
+					timeout: 10,
+				});
+				defer(
+					() => {
+						throw new Error("boom");
+					},
+					{ labels: { requestId: "req-2" } },
+				);
+			},
+			{ labels: { requestId: "req-1" }, errorReporter },
+		)();
+
+		expect(errorReporter.mock.calls.map(([, { message }]) => message)).toEqual([
+			"error in deferred function 0 (anonymous(requestId=req-2)): failed to execute: boom",
+			"error in deferred function 1 (close-socket(requestId=req-1, socket=7)): timed out: timeout exceeded",
+		]);
+	});
+
+	it("should log the labelled name in debug mode", async () => {
+		const consoleError = vi
+			.spyOn(console, "error")
+			.mockImplementation(() => {});
+		try {
+			await withDefer(
+				async (defer) => {
+					defer(
+						() => {
+							throw new Error("nope");
+						},
+						{ name: "unlink-temp", labels: { file: "a.tmp" } },
+					);
+				},
+				{ debug: true },
+			)();
+
+			expect(consoleError).toHaveBeenCalledWith(
+				"error in deferred function 0 (unlink-temp(file=a.tmp)): failed to execute: nope",
+				expect.any(Error),
+			);
+		} finally {
+			consoleError.mockRestore();
+		}
+	});
+
+	it("should use the name in reports, hooks and pending()", async () => {
+		const onDeferRegistered = vi.fn();
+		const report = await withDefer(
+			async (defer) => {
+				defer(() => "done", { name: "close-file", labels: { path: "/tmp/a" } });
+				expect(defer.pending()[0]).toMatchObject({
+					name: "close-file",
+					labels: { path: "/tmp/a" },
+				});
+			},
+			{ report: true, hooks: { onDeferRegistered } },
+		)();
+
+		expect(onDeferRegistered.mock.calls[0][0].name).toBe("close-file");
+		expect(report.deferreds[0].name).toBe("close-file");
+	});
+
+	it("should only take the name from local options", async () => {
+		const errorReporter = vi.fn();
+		await withDefer(
+			async (defer) => {
+				defer(function closeFile() {
+					throw new Error("busy");
+				});
+			},
+			{ name: "scope-name", errorReporter },
+		)();
+
+		expect(errorReporter.mock.calls[0][1].name).toBe("closeFile");
+	});
+
+	it("should accept null options", async () => {
+		const handles = [];
+		await withDefer(async (defer) => {
+			handles.push(defer(function close() {}, null));
+			handles[0].update(null);
+		})();
+		withDeferSync((defer) => {
+			handles.push(defer(() => 1, null));
+			handles[1].update(null);
+		})();
+
+		expect(handles.map(({ status }) => status)).toEqual([
+			"fulfilled",
+			"fulfilled",
+		]);
+	});
+
+	it("should validate the name and labels options", async () => {
+		expect(() => new DeferScope({ labels: { id: {} } })).toThrow(
+			"labels.id must be a string, number or boolean",
+		);
+		await withDefer(async (defer) => {
+			expect(() => defer(() => {}, { name: "" })).toThrow(
+				"name must be a non-empty string",
+			);
+			expect(() => defer(() => {}, { labels: "a=b" })).toThrow(
+				"labels must be an object or null",
+			);
+		})();
+	});
+});
+
+describe("withDefer.handler", () => {
+	// A body that emits the given chunks, one per pull
+	const streamOf = (chunks) => {
+		const encoder = new TextEncoder();
+		return new ReadableStream({
+			pull(controller) {
+				if (chunks.length === 0) {
+					controller.close();
+				} else {
+					controller.enqueue(encoder.encode(chunks.shift()));
+				}
+			},
+		});
+	};
+
+	it("should run deferreds only after the body has been fully consumed", async () => {
+		const logs = [];
+		const handler = withDefer.handler(async (defer, request) => {
+			defer(() => logs.push("close cursor"));
+			return new Response(streamOf(["a", "b", request.url]), {
+				status: 201,
+				headers: { "content-type": "text/plain" },
+			});
+		});
+
+		const response = await handler(new Request("http://localhost/c"));
+		expect(logs).toEqual([]);
+		expect(response.status).toBe(201);
+		expect(response.headers.get("content-type")).toBe("text/plain");
+
+		expect(await response.text()).toBe("abhttp://localhost/c");
+		await vi.waitFor(() => expect(logs).toEqual(["close cursor"]));
+	});
+
+	it("should still run deferreds when the body is already locked", async () => {
+		const cleanup = vi.fn();
+		const handler = withDefer.handler(async (defer) => {
+			defer(cleanup);
+			const response = new Response(streamOf(["a"]));
+			response.body.getReader();
+			return response;
+		});
+
+		await expect(handler()).rejects.toThrow(TypeError);
+		expect(cleanup).toHaveBeenCalledTimes(1);
+	});
+	it("should run deferreds when the body is cancelled", async () => {
+		const cleanup = vi.fn();
+		const handler = withDefer.handler(async (defer) => {
+			defer(cleanup);
+			return new Response(streamOf(["a", "b", "c"]));
+		});
+
+		const response = await handler(new Request("http://localhost/"));
+		const reader = response.body.getReader();
+		await reader.read();
+		expect(cleanup).not.toHaveBeenCalled();
+		await reader.cancel();
+
+		await vi.waitFor(() => expect(cleanup).toHaveBeenCalledTimes(1));
+	});
+
+	it("should run deferreds when the body errors", async () => {
+		const cleanup = vi.fn();
+		const handler = withDefer.handler(async (defer) => {
+			defer(cleanup);
+			return new Response(
+				new ReadableStream({
+					pull(controller) {
+						controller.error(new Error("cursor failed"));
+					},
+				}),
+			);
+		});
+
+		const response = await handler(new Request("http://localhost/"));
+		await expect(response.text()).rejects.toThrow("cursor failed");
+		await vi.waitFor(() => expect(cleanup).toHaveBeenCalledTimes(1));
+	});
+
+	it("should run deferreds right away for responses without a body", async () => {
+		const cleanup = vi.fn();
+		const handler = withDefer.handler(async (defer) => {
+			defer(cleanup);
+			return new Response(null, { status: 204 });
+		});
+
+		const response = await handler(new Request("http://localhost/"));
+		expect(cleanup).toHaveBeenCalledTimes(1);
+		expect(response.status).toBe(204);
+	});
+
+	it("should let a deferred recover a failing handler with a fallback response", async () => {
+		const handler = withDefer.handler(async (defer) => {
+			defer(({ recover, setResult }) => {
+				if (recover()) {
+					setResult(new Response("fallback", { status: 500 }));
+				}
+			});
+			throw new Error("handler failed");
+		});
+
+		const response = await handler(new Request("http://localhost/"));
+		expect(response.status).toBe(500);
+		expect(await response.text()).toBe("fallback");
+	});
+
+	it("should rethrow the handler's error after running deferreds", async () => {
+		const cleanup = vi.fn();
+		const handler = withDefer.handler(async (defer) => {
+			defer(cleanup);
+			throw new Error("handler failed");
+		});
+
+		await expect(handler(new Request("http://localhost/"))).rejects.toThrow(
+			"handler failed",
+		);
+		expect(cleanup).toHaveBeenCalledTimes(1);
+	});
+
+	it("should only report failures of deferreds after a streamed body, even with throwOnError", async () => {
+		const errorReporter = vi.fn();
+		const handler = withDefer.handler(
+			async (defer) => {
+				defer(() => {
+					throw new Error("release failed");
+				});
+				return new Response("ok");
+			},
+			{ throwOnError: true, errorReporter },
+		);
+
+		const response = await handler(new Request("http://localhost/"));
+		expect(await response.text()).toBe("ok");
+		await vi.waitFor(() => expect(errorReporter).toHaveBeenCalledTimes(1));
+	});
+
+	it("should validate its arguments", () => {
+		expect(() => withDefer.handler("not a function")).toThrow(
+			"First argument must be a function",
+		);
+		expect(() => withDefer.handler(() => {}, { concurrency: 0 })).toThrow(
+			"concurrency must be a positive integer or Infinity",
+		);
+	});
+});